@@ -12,7 +12,9 @@
 // @grant        GM_addStyle
 // @grant        GM.getValue
 // @grant        GM.setValue
+// @grant        GM.deleteValue
 // @grant        GM.cookie
+// @grant        GM.notification
 // @connect      aliexpress.us
 // @connect      aliexpress.com
 // @grant        GM_listValues
@@ -31,8 +33,13 @@
 
     // --- Globally scoped instance variables (within IIFE) ---
     let dataManager = null; // To hold DataManager instance
+    let domEnhancer = null; // To hold DOMEnhancer instance (read by the export action)
     // let loadingManager = null; // Keep loadingManager local to init for now
 
+    // --- Mobile Layout (m.aliexpress.com, or a touch-only device without hover) ---
+    const isMobileLayout = /^m\./i.test(window.location.hostname) ||
+        Boolean(window.matchMedia?.('(hover: none) and (pointer: coarse)').matches);
+
     // Debug logging utility
     const DEBUG = true;
     const log = (...args) => {
@@ -128,6 +135,11 @@
             this.iconContainer.title = 'Hmm, something is fishy here...';
             this.container.appendChild(this.iconContainer);
 
+            // Badge for watchlist price drops
+            this.watchlistBadge = document.createElement('span');
+            this.watchlistBadge.className = 'ali-real-price-watchlist-badge';
+            this.iconContainer.appendChild(this.watchlistBadge);
+
             // Create expandable content container
             this.expandableContent = document.createElement('div');
             this.expandableContent.className = 'ali-real-price-expandable-content';
@@ -166,6 +178,10 @@
                 container.classList.toggle('expanded');
                 this.disclosureArrow.classList.toggle('collapsed');
                 this.arrowSymbol.nodeValue = isExpanding ? '▼' : '▶';
+                if (isExpanding) {
+                    handleWatchlistViewed();
+                    refreshCacheStatsView();
+                }
             };
 
             // Remove default title to prevent both tooltips
@@ -188,6 +204,11 @@
             };
             this.settingsContent.appendChild(this.clearCacheButton);
 
+            // Entries per cache bucket against its limit; filled in when the options are opened
+            this.cacheStats = document.createElement('div');
+            this.cacheStats.className = 'ali-real-price-cache-stats';
+            this.settingsContent.appendChild(this.cacheStats);
+
             // --- Create Disable Cache Checkbox --- 
             this.disableCacheContainer = document.createElement('div');
             this.disableCacheContainer.className = 'ali-real-price-disable-cache-container';
@@ -211,6 +232,222 @@
             this.disableCacheContainer.appendChild(this.disableCacheLabel);
             this.settingsContent.appendChild(this.disableCacheContainer);
 
+            // --- Create Unit Price Checkboxes ---
+            this.unitPriceOnCardsCheckbox = this.createCheckboxSetting(
+                'ali-real-price-unit-cards-checkbox', 'Show unit price on cards', showUnitPriceOnCards, handleUnitPriceOnCardsChange
+            );
+            this.unitPriceContextCheckbox = this.createCheckboxSetting(
+                'ali-real-price-unit-context-checkbox', 'Compare by unit price when shared', useUnitPriceContext, handleUnitPriceContextChange
+            );
+
+            // --- Create Ships-From Checkbox ---
+            this.preferLocalWarehouseCheckbox = this.createCheckboxSetting(
+                'ali-real-price-local-warehouse-checkbox', 'Prefer local warehouses', preferLocalWarehouse, handlePreferLocalWarehouseChange
+            );
+
+            // --- Create Bait Threshold Input ---
+            this.baitThresholdContainer = document.createElement('div');
+            this.baitThresholdContainer.className = 'ali-real-price-disable-cache-container';
+            this.baitThresholdContainer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            this.baitThresholdInput = document.createElement('input');
+            this.baitThresholdInput.type = 'number';
+            this.baitThresholdInput.min = 0;
+            this.baitThresholdInput.max = 100;
+            this.baitThresholdInput.id = 'ali-real-price-bait-threshold-input';
+            this.baitThresholdInput.className = 'ali-real-price-bait-threshold-input';
+            this.baitThresholdInput.value = baitScoreThreshold;
+            this.baitThresholdInput.addEventListener('change', handleBaitThresholdChange);
+
+            const baitThresholdLabel = document.createElement('label');
+            baitThresholdLabel.htmlFor = 'ali-real-price-bait-threshold-input';
+            baitThresholdLabel.textContent = 'Bait badge threshold';
+            baitThresholdLabel.className = 'ali-real-price-disable-cache-label';
+
+            this.baitThresholdContainer.appendChild(this.baitThresholdInput);
+            this.baitThresholdContainer.appendChild(baitThresholdLabel);
+            this.settingsContent.appendChild(this.baitThresholdContainer);
+
+            // --- Create Shipping Preference Controls ---
+            this.shippingPreferenceContainer = document.createElement('div');
+            this.shippingPreferenceContainer.className = 'ali-real-price-disable-cache-container';
+            this.shippingPreferenceContainer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            this.shippingModeSelect = document.createElement('select');
+            this.shippingModeSelect.id = 'ali-real-price-shipping-mode-select';
+            this.shippingModeSelect.className = 'ali-real-price-shipping-mode-select';
+            [
+                { value: 'cheapest', label: 'Cheapest shipping' },
+                { value: 'fastest', label: 'Fastest shipping' },
+                { value: 'within', label: 'Cheapest within' }
+            ].forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                this.shippingModeSelect.appendChild(option);
+            });
+            this.shippingModeSelect.value = shippingPreference.mode;
+            this.shippingModeSelect.addEventListener('change', handleShippingPreferenceChange);
+
+            this.shippingMaxDaysInput = document.createElement('input');
+            this.shippingMaxDaysInput.type = 'number';
+            this.shippingMaxDaysInput.min = 1;
+            this.shippingMaxDaysInput.className = 'ali-real-price-bait-threshold-input';
+            this.shippingMaxDaysInput.value = shippingPreference.maxDays;
+            this.shippingMaxDaysInput.addEventListener('change', handleShippingPreferenceChange);
+
+            this.shippingMaxDaysLabel = document.createElement('label');
+            this.shippingMaxDaysLabel.textContent = 'days';
+            this.shippingMaxDaysLabel.className = 'ali-real-price-disable-cache-label';
+
+            this.shippingPreferenceContainer.appendChild(this.shippingModeSelect);
+            this.shippingPreferenceContainer.appendChild(this.shippingMaxDaysInput);
+            this.shippingPreferenceContainer.appendChild(this.shippingMaxDaysLabel);
+            this.settingsContent.appendChild(this.shippingPreferenceContainer);
+
+            // --- Create Ship-To Destination Controls ---
+            this.destinationContainer = document.createElement('div');
+            this.destinationContainer.className = 'ali-real-price-destination-container';
+            // Prevent dragging when interacting with the inputs
+            this.destinationContainer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            const destinationTitle = document.createElement('div');
+            destinationTitle.className = 'ali-real-price-destination-title';
+            destinationTitle.textContent = 'Ship To';
+            this.destinationContainer.appendChild(destinationTitle);
+
+            const autoRow = document.createElement('div');
+            autoRow.className = 'ali-real-price-disable-cache-container';
+            this.destinationAutoCheckbox = document.createElement('input');
+            this.destinationAutoCheckbox.type = 'checkbox';
+            this.destinationAutoCheckbox.id = 'ali-real-price-destination-auto-checkbox';
+            this.destinationAutoCheckbox.className = 'ali-real-price-disable-cache-checkbox';
+            this.destinationAutoCheckbox.checked = true;
+            this.destinationAutoCheckbox.addEventListener('change', () => {
+                this.setDestinationInputsEnabled(!this.destinationAutoCheckbox.checked);
+            });
+            const autoLabel = document.createElement('label');
+            autoLabel.htmlFor = 'ali-real-price-destination-auto-checkbox';
+            autoLabel.textContent = "Use page's ship-to";
+            autoLabel.className = 'ali-real-price-disable-cache-label';
+            autoRow.appendChild(this.destinationAutoCheckbox);
+            autoRow.appendChild(autoLabel);
+            this.destinationContainer.appendChild(autoRow);
+
+            // One text input per destination field
+            this.destinationInputs = {};
+            const destinationFields = [
+                { key: 'country', placeholder: 'Country (e.g. US)' },
+                { key: 'province', placeholder: 'Province ID' },
+                { key: 'city', placeholder: 'City ID' },
+                { key: 'postalCode', placeholder: 'Postal code' }
+            ];
+            destinationFields.forEach(({ key, placeholder }) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'ali-real-price-destination-input';
+                input.placeholder = placeholder;
+                this.destinationInputs[key] = input;
+                this.destinationContainer.appendChild(input);
+            });
+
+            this.destinationSaveButton = document.createElement('span');
+            this.destinationSaveButton.className = 'ali-real-price-clear-cache';
+            this.destinationSaveButton.textContent = 'Save Destination';
+            this.destinationSaveButton.onclick = async () => {
+                await handleDestinationSave();
+            };
+            this.destinationContainer.appendChild(this.destinationSaveButton);
+
+            this.settingsContent.appendChild(this.destinationContainer);
+
+            // --- Create Accessory Rules Editor ---
+            this.accessoryRulesContainer = document.createElement('div');
+            this.accessoryRulesContainer.className = 'ali-real-price-destination-container';
+            this.accessoryRulesContainer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            const accessoryRulesTitle = document.createElement('div');
+            accessoryRulesTitle.className = 'ali-real-price-destination-title';
+            accessoryRulesTitle.textContent = 'Accessory Rules';
+            this.accessoryRulesContainer.appendChild(accessoryRulesTitle);
+
+            // One textarea per rule list; keywords are comma/newline separated, /regex/ allowed
+            this.accessoryRuleInputs = {};
+            [
+                { key: 'include', placeholder: 'Also accessories: strap, /\\bmount(s)?\\b/' },
+                { key: 'exclude', placeholder: 'Never accessories: tool kit' },
+                { key: 'overrides', placeholder: 'Per search, one per line:\ntool kit => -kit, -box, +bag' }
+            ].forEach(({ key, placeholder }) => {
+                const textarea = document.createElement('textarea');
+                textarea.className = 'ali-real-price-rules-input';
+                textarea.placeholder = placeholder;
+                textarea.rows = key === 'overrides' ? 3 : 2;
+                this.accessoryRuleInputs[key] = textarea;
+                this.accessoryRulesContainer.appendChild(textarea);
+            });
+
+            const accessoryRulesSaveButton = document.createElement('span');
+            accessoryRulesSaveButton.className = 'ali-real-price-clear-cache';
+            accessoryRulesSaveButton.textContent = 'Save Rules';
+            accessoryRulesSaveButton.onclick = async () => {
+                await handleAccessoryRulesSave();
+            };
+            this.accessoryRulesContainer.appendChild(accessoryRulesSaveButton);
+
+            this.settingsContent.appendChild(this.accessoryRulesContainer);
+
+            // --- Create Export Controls ---
+            this.exportContainer = document.createElement('div');
+            this.exportContainer.className = 'ali-real-price-destination-container';
+            this.exportContainer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            const exportTitle = document.createElement('div');
+            exportTitle.className = 'ali-real-price-destination-title';
+            exportTitle.textContent = 'Export Page Data';
+            this.exportContainer.appendChild(exportTitle);
+
+            this.exportFormatSelect = document.createElement('select');
+            this.exportFormatSelect.className = 'ali-real-price-shipping-mode-select';
+            ['CSV', 'JSON'].forEach(format => {
+                const option = document.createElement('option');
+                option.value = format.toLowerCase();
+                option.textContent = format;
+                this.exportFormatSelect.appendChild(option);
+            });
+            this.exportContainer.appendChild(this.exportFormatSelect);
+
+            [
+                { text: 'Download', action: 'download' },
+                { text: 'Copy to Clipboard', action: 'copy' }
+            ].forEach(({ text, action }) => {
+                const button = document.createElement('span');
+                button.className = 'ali-real-price-clear-cache';
+                button.textContent = text;
+                button.onclick = async () => {
+                    await handleExport(this.exportFormatSelect.value, action);
+                };
+                this.exportContainer.appendChild(button);
+            });
+
+            this.settingsContent.appendChild(this.exportContainer);
+
+            // --- Create Watchlist View ---
+            this.watchlistContainer = document.createElement('div');
+            this.watchlistContainer.className = 'ali-real-price-watchlist-container';
+            // Prevent dragging when interacting with the list
+            this.watchlistContainer.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            const watchlistTitle = document.createElement('div');
+            watchlistTitle.className = 'ali-real-price-destination-title';
+            watchlistTitle.textContent = 'Watchlist';
+            this.watchlistContainer.appendChild(watchlistTitle);
+
+            this.watchlistList = document.createElement('ul');
+            this.watchlistList.className = 'ali-real-price-watchlist';
+            this.watchlistContainer.appendChild(this.watchlistList);
+
+            this.settingsContent.appendChild(this.watchlistContainer);
+
             // Add settings content to settings container
             this.settingsContainer.appendChild(this.settingsContent);
             this.expandableContent.appendChild(this.settingsContainer);
@@ -220,6 +457,23 @@
 
             document.body.appendChild(this.container);
 
+            if (isMobileLayout) {
+                // No hover on touch screens: tap the fish to open or close the panel
+                this.container.classList.add('mobile');
+                // The panel stays closed while loading on small screens; the count is shown next to the fish instead
+                this.mobileProgress = document.createElement('span');
+                this.mobileProgress.className = 'ali-real-price-mobile-progress';
+                this.iconContainer.appendChild(this.mobileProgress);
+                this.iconContainer.addEventListener('click', () => {
+                    if (this.dragMoved) return; // The tap ended a drag
+                    this.openedByTap = this.container.classList.toggle('expanded');
+                    if (!this.openedByTap) {
+                        this.collapseSettings();
+                    }
+                });
+                return;
+            }
+
             // Add hover behavior
             this.container.addEventListener('mouseenter', () => {
                 this.container.classList.add('expanded');
@@ -230,13 +484,17 @@
                 if (this.completedItems >= this.totalItems && !this.container.matches(':hover')) {
                     this.container.classList.remove('expanded');
                     // Also collapse settings if expanded
-                    this.settingsContainer.classList.remove('expanded');
-                    this.disclosureArrow.classList.add('collapsed');
-                    this.arrowSymbol.nodeValue = '▶';
+                    this.collapseSettings();
                 }
             });
         }
 
+        collapseSettings() {
+            this.settingsContainer.classList.remove('expanded');
+            this.disclosureArrow.classList.add('collapsed');
+            this.arrowSymbol.nodeValue = '▶';
+        }
+
         // Add CSS styles
         addStyles() {
             const existingStyle = document.getElementById('ali-real-price-styles');
@@ -385,6 +643,12 @@
                     color: #ffa000;
                 }
 
+                .ali-real-price-cache-stats {
+                    font-size: 10px;
+                    color: #aaa;
+                    margin-bottom: 5px;
+                }
+
                 .ali-real-price-disable-cache-container {
                     display: flex;
                     align-items: center;
@@ -402,6 +666,184 @@
                     cursor: pointer;
                     user-select: none;
                 }
+
+                .ali-real-price-bait-threshold-input {
+                    width: 42px;
+                    margin: 0 5px 0 0;
+                    padding: 1px 2px;
+                    font-size: 11px;
+                    border: 1px solid #555;
+                    border-radius: 2px;
+                    background: #222;
+                    color: #eee;
+                    cursor: text;
+                }
+
+                .ali-real-price-shipping-mode-select {
+                    margin: 0 5px 0 0;
+                    font-size: 11px;
+                    border: 1px solid #555;
+                    border-radius: 2px;
+                    background: #222;
+                    color: #eee;
+                    cursor: pointer;
+                }
+
+                .ali-real-price-destination-container {
+                    margin-top: 8px;
+                    padding-top: 5px;
+                    border-top: 1px solid rgba(255, 255, 255, 0.1);
+                }
+
+                .ali-real-price-destination-title {
+                    font-size: 11px;
+                    color: #ccc;
+                    font-weight: bold;
+                }
+
+                .ali-real-price-destination-input {
+                    display: block;
+                    width: 140px;
+                    margin: 3px 0;
+                    padding: 2px 4px;
+                    font-size: 11px;
+                    border: 1px solid #555;
+                    border-radius: 2px;
+                    background: #222;
+                    color: #eee;
+                    cursor: text;
+                }
+
+                .ali-real-price-destination-input:disabled {
+                    opacity: 0.5;
+                }
+
+                .ali-real-price-destination-container .ali-real-price-clear-cache {
+                    margin-top: 5px;
+                }
+
+                .ali-real-price-rules-input {
+                    display: block;
+                    width: 100%;
+                    box-sizing: border-box;
+                    margin-top: 3px;
+                    padding: 2px 4px;
+                    font-size: 11px;
+                    font-family: inherit;
+                    border: 1px solid #555;
+                    border-radius: 2px;
+                    background: #222;
+                    color: #eee;
+                    resize: vertical;
+                }
+
+                .ali-real-price-destination-container .ali-real-price-shipping-mode-select {
+                    margin-top: 3px;
+                }
+
+                .ali-real-price-icon {
+                    position: relative;
+                }
+
+                .ali-real-price-watchlist-badge {
+                    display: none;
+                    position: absolute;
+                    top: -6px;
+                    right: -8px;
+                    min-width: 14px;
+                    padding: 0 3px;
+                    border-radius: 7px;
+                    background: #e53935;
+                    color: white;
+                    font-size: 10px;
+                    line-height: 14px;
+                    text-align: center;
+                }
+
+                .ali-real-price-watchlist-badge.active {
+                    display: block;
+                }
+
+                .ali-real-price-watchlist-container {
+                    margin-top: 8px;
+                    padding-top: 5px;
+                    border-top: 1px solid rgba(255, 255, 255, 0.1);
+                }
+
+                .ali-real-price-watchlist {
+                    list-style: none;
+                    margin: 3px 0 0 0;
+                    padding: 0;
+                    max-height: 200px;
+                    max-width: 260px;
+                    overflow-y: auto;
+                    font-size: 11px;
+                    color: #ccc;
+                }
+
+                .ali-real-price-watchlist li {
+                    padding: 3px 0;
+                    border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+                }
+
+                .ali-real-price-watchlist li.triggered {
+                    color: #81c784;
+                }
+
+                .ali-real-price-watchlist a {
+                    color: inherit;
+                    display: block;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .ali-real-price-watchlist-remove {
+                    float: right;
+                    margin-left: 5px;
+                    color: #999;
+                    cursor: pointer;
+                }
+
+                /* Touch layout: bigger tap target in the bottom corner, panel scrolls within the screen */
+                .ali-real-price-status-container.mobile {
+                    top: auto;
+                    bottom: 16px;
+                    right: 16px;
+                    padding: 10px 12px;
+                    border-radius: 22px;
+                    cursor: default;
+                }
+
+                .ali-real-price-status-container.mobile .ali-real-price-icon {
+                    font-size: 24px;
+                    line-height: 1;
+                    position: relative;
+                    touch-action: none; /* The icon is the drag handle */
+                }
+
+                .ali-real-price-status-container.mobile.expanded {
+                    border-radius: 8px;
+                    max-width: calc(100vw - 32px);
+                    max-height: 70vh;
+                    overflow-y: auto;
+                    -webkit-overflow-scrolling: touch;
+                }
+
+                .ali-real-price-status-container.mobile .ali-real-price-disclosure-arrow {
+                    font-size: 14px;
+                    padding: 6px;
+                }
+
+                .ali-real-price-mobile-progress {
+                    position: absolute;
+                    bottom: -8px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    font-size: 9px;
+                    color: white;
+                    white-space: nowrap;
+                }
             `;
             document.head.appendChild(styleElement);
         }
@@ -410,15 +852,12 @@
             // Keep initial CSS positioning (top/right)
             // We will switch to left/top positioning only when dragging starts
 
-            const onMouseDown = (e) => {
-                // Only drag with left mouse button
-                if (e.button !== 0) return;
-
+            const startDrag = (clientX, clientY) => {
                 this.isDragging = true;
                 this.container.classList.add('dragging-active'); // Add class to disable transitions
                 this.iconContainer.classList.add('dragging');
-                this.startX = e.clientX;
-                this.startY = e.clientY;
+                this.startX = clientX;
+                this.startY = clientY;
 
                 // Get current position and dimensions *before* changing styles
                 const rect = this.container.getBoundingClientRect();
@@ -427,14 +866,45 @@
                 this.containerWidth = this.container.offsetWidth;
                 this.containerHeight = this.container.offsetHeight;
 
-                // Store initial mouse position relative to the drag start
-                this.latestX = e.clientX;
-                this.latestY = e.clientY;
+                // Store initial pointer position relative to the drag start
+                this.latestX = clientX;
+                this.latestY = clientY;
 
                 // Switch to left/top positioning for the drag operation
                 this.container.style.right = 'auto';
+                this.container.style.bottom = 'auto';
                 this.container.style.left = `${this.initialLeft}px`;
                 this.container.style.top = `${this.initialTop}px`;
+            };
+
+            const moveDrag = (clientX, clientY) => {
+                // Store the latest pointer position
+                this.latestX = clientX;
+                this.latestY = clientY;
+
+                // Schedule an update if one isn't already pending
+                if (!this.rafId) {
+                    this.rafId = requestAnimationFrame(updatePosition);
+                }
+            };
+
+            const stopDrag = () => {
+                this.isDragging = false;
+                this.container.classList.remove('dragging-active'); // Remove class to re-enable transitions
+                this.iconContainer.classList.remove('dragging');
+
+                // Cancel any pending animation frame
+                if (this.rafId) {
+                    cancelAnimationFrame(this.rafId);
+                    this.rafId = null;
+                }
+            };
+
+            const onMouseDown = (e) => {
+                // Only drag with left mouse button
+                if (e.button !== 0) return;
+
+                startDrag(e.clientX, e.clientY);
 
                 // Add listeners to the document to capture mouse movements anywhere
                 document.addEventListener('mousemove', onMouseMove);
@@ -445,15 +915,7 @@
 
             const onMouseMove = (e) => {
                 if (!this.isDragging) return;
-
-                // Store the latest mouse position
-                this.latestX = e.clientX;
-                this.latestY = e.clientY;
-
-                // Schedule an update if one isn't already pending
-                if (!this.rafId) {
-                    this.rafId = requestAnimationFrame(updatePosition);
-                }
+                moveDrag(e.clientX, e.clientY);
             };
 
             // This function performs the actual position update within an animation frame
@@ -483,29 +945,203 @@
             const onMouseUp = () => {
                 if (!this.isDragging) return;
 
-                this.isDragging = false;
-                this.container.classList.remove('dragging-active'); // Remove class to re-enable transitions
-                this.iconContainer.classList.remove('dragging');
+                stopDrag();
                 // Remove global listeners
                 document.removeEventListener('mousemove', onMouseMove);
                 document.removeEventListener('mouseup', onMouseUp);
+            };
 
-                // Cancel any pending animation frame
-                if (this.rafId) {
-                    cancelAnimationFrame(this.rafId);
-                    this.rafId = null;
+            // Touch screens drag by the icon only; the rest of the panel has to scroll and take taps
+            const onTouchStart = (e) => {
+                if (e.touches.length !== 1) return;
+
+                startDrag(e.touches[0].clientX, e.touches[0].clientY);
+                this.dragMoved = false;
+                document.addEventListener('touchmove', onTouchMove, { passive: false });
+                document.addEventListener('touchend', onTouchEnd);
+                document.addEventListener('touchcancel', onTouchEnd);
+            };
+
+            const onTouchMove = (e) => {
+                if (!this.isDragging) return;
+                // Don't scroll the page while the icon is being dragged
+                e.preventDefault();
+
+                const touch = e.touches[0];
+                if (Math.abs(touch.clientX - this.startX) + Math.abs(touch.clientY - this.startY) > 5) {
+                    this.dragMoved = true;
                 }
+                moveDrag(touch.clientX, touch.clientY);
+            };
+
+            const onTouchEnd = () => {
+                if (!this.isDragging) return;
+
+                stopDrag();
+                document.removeEventListener('touchmove', onTouchMove);
+                document.removeEventListener('touchend', onTouchEnd);
+                document.removeEventListener('touchcancel', onTouchEnd);
             };
 
+            if (isMobileLayout) {
+                this.iconContainer.addEventListener('touchstart', onTouchStart, { passive: true });
+                return;
+            }
             // Attach the mousedown listener to the whole container
             this.container.addEventListener('mousedown', onMouseDown);
         }
 
+        // Add a checkbox + label row to the settings content and return the checkbox
+        createCheckboxSetting(id, labelText, checked, onChange) {
+            const container = document.createElement('div');
+            container.className = 'ali-real-price-disable-cache-container';
+            // Prevent dragging when interacting with the checkbox/label
+            container.addEventListener('mousedown', (e) => e.stopPropagation());
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = id;
+            checkbox.className = 'ali-real-price-disable-cache-checkbox';
+            checkbox.checked = checked;
+            checkbox.addEventListener('change', onChange);
+
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = labelText;
+            label.className = 'ali-real-price-disable-cache-label';
+
+            container.appendChild(checkbox);
+            container.appendChild(label);
+            this.settingsContent.appendChild(container);
+            return checkbox;
+        }
+
+        // Populate the shipping preference controls; the day limit only applies to 'within'
+        setShippingPreference(preference) {
+            this.shippingModeSelect.value = preference.mode;
+            this.shippingMaxDaysInput.value = preference.maxDays;
+            const showDays = preference.mode === 'within';
+            this.shippingMaxDaysInput.style.display = showDays ? '' : 'none';
+            this.shippingMaxDaysLabel.style.display = showDays ? '' : 'none';
+        }
+
+        // Populate the accessory rules editor
+        setAccessoryRules(rules) {
+            this.accessoryRuleInputs.include.value = rules.include.join(', ');
+            this.accessoryRuleInputs.exclude.value = rules.exclude.join(', ');
+            this.accessoryRuleInputs.overrides.value = rules.overrides
+                .map(({ term, include, exclude }) => `${term} => ${[...include.map(k => `+${k}`), ...exclude.map(k => `-${k}`)].join(', ')}`)
+                .join('\n');
+        }
+
+        getAccessoryRulesInput() {
+            return {
+                include: utils.parseKeywordList(this.accessoryRuleInputs.include.value),
+                exclude: utils.parseKeywordList(this.accessoryRuleInputs.exclude.value),
+                overrides: this.accessoryRuleInputs.overrides.value.split('\n')
+                    .map(line => line.split('=>'))
+                    .filter(([term, keywords]) => term?.trim() && keywords !== undefined)
+                    .map(([term, keywords]) => {
+                        const list = utils.parseKeywordList(keywords);
+                        return {
+                            term: term.trim().toLowerCase(),
+                            include: list.filter(k => !k.startsWith('-')).map(k => k.replace(/^\+/, '')),
+                            exclude: list.filter(k => k.startsWith('-')).map(k => k.slice(1))
+                        };
+                    })
+            };
+        }
+
+        // Populate the ship-to controls from the active destination
+        setDestination(destination) {
+            this.destinationAutoCheckbox.checked = destination.source !== 'custom';
+            Object.entries(this.destinationInputs).forEach(([key, input]) => {
+                input.value = destination[key] || '';
+            });
+            this.setDestinationInputsEnabled(destination.source === 'custom');
+        }
+
+        getDestinationInput() {
+            const destination = { useAuto: this.destinationAutoCheckbox.checked };
+            Object.entries(this.destinationInputs).forEach(([key, input]) => {
+                destination[key] = input.value.trim();
+            });
+            return destination;
+        }
+
+        setDestinationInputsEnabled(enabled) {
+            Object.values(this.destinationInputs).forEach(input => {
+                input.disabled = !enabled;
+            });
+        }
+
+        // Render the watchlist view in the settings panel
+        renderWatchlist(entries) {
+            this.watchlistList.innerHTML = '';
+            if (entries.length === 0) {
+                const emptyItem = document.createElement('li');
+                emptyItem.textContent = 'Star a product to watch its real price.';
+                this.watchlistList.appendChild(emptyItem);
+                return;
+            }
+
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                if (entry.lastTotal !== null && entry.lastTotal <= entry.targetTotal) {
+                    item.classList.add('triggered');
+                }
+
+                const removeButton = document.createElement('span');
+                removeButton.className = 'ali-real-price-watchlist-remove';
+                removeButton.textContent = '✕';
+                removeButton.title = 'Remove from watchlist';
+                removeButton.onclick = async () => {
+                    await handleWatchlistRemove(entry.productId);
+                };
+                item.appendChild(removeButton);
+
+                const link = document.createElement('a');
+                link.href = entry.url;
+                link.target = '_blank';
+                link.textContent = entry.title || entry.productId;
+                item.appendChild(link);
+
+                const prices = document.createElement('div');
+                const lastSeen = entry.lastTotal !== null ? utils.formatPrice(entry.lastTotal, entry.currency) : '—';
+                prices.textContent = `Target ${utils.formatPrice(entry.targetTotal, entry.currency)} · now ${lastSeen}`;
+                item.appendChild(prices);
+
+                this.watchlistList.appendChild(item);
+            });
+        }
+
+        setCacheStats(stats) {
+            this.cacheStats.textContent = stats
+                ? 'Cached: ' + Object.entries(stats).map(([bucket, { size, maxEntries }]) => `${bucket} ${size}/${maxEntries}`).join(' · ')
+                : '';
+        }
+
+        setWatchlistBadge(count) {
+            this.watchlistBadge.textContent = count > 0 ? String(count) : '';
+            this.watchlistBadge.classList.toggle('active', count > 0);
+            if (count > 0) {
+                // Make sure the alert is seen even on pages without product cards
+                this.container.classList.add('visible');
+            }
+        }
+
+        // Count more items in the current run (e.g. related items once they're actually queued)
+        addItems(count) {
+            this.startLoading(this.totalItems + count);
+        }
+
         startLoading(totalItems) {
             this.totalItems = totalItems;
             this.updateProgress();
             this.container.classList.add('visible');
-            this.container.classList.remove('expanded');
+            if (!this.openedByTap) {
+                this.container.classList.remove('expanded');
+            }
         }
 
         itemComplete() {
@@ -519,8 +1155,8 @@
             this.updateProgress();
 
             if (this.completedItems >= this.totalItems) {
-                // When complete, only collapse if mouse isn't in the container
-                if (!this.container.matches(':hover')) {
+                // When complete, only collapse if mouse isn't in the container (or the panel wasn't opened by a tap)
+                if (!this.container.matches(':hover') && !this.openedByTap) {
                     this.container.classList.remove('expanded');
                 }
             }
@@ -529,6 +1165,12 @@
         updateProgress() {
             log(`[updateProgress] Updating text: completed=${this.completedItems}, total=${this.totalItems}`);
             this.statusText.textContent = `Loading prices: ${this.completedItems}/${this.totalItems}`;
+            if (isMobileLayout) {
+                this.mobileProgress.textContent = this.completedItems < this.totalItems
+                    ? `${this.completedItems}/${this.totalItems}`
+                    : '';
+                return;
+            }
             // Show expanded state while loading
             if (this.completedItems < this.totalItems) {
                 this.container.classList.add('expanded');
@@ -536,9 +1178,6 @@
         }
     }
 
-    // Global loading manager instance
-    const loadingManager = new LoadingManager(); // Keep creation here as before
-
     // Global rate limiter instances
     const apiRateLimiter = new RateLimiter(2, 1000); 
     const pageFetchRateLimiter = new RateLimiter(1, 1000); 
@@ -821,11 +1460,43 @@
             border-radius: 4px;
             box-shadow: 0 2px 8px rgba(0,0,0,0.1);
             padding: 12px;
-            width: 280px;
+            width: 320px;
             font-size: 12px;
             line-height: 1.5;
         }
 
+        .ali-real-price-sheet-backdrop {
+            position: fixed;
+            inset: 0;
+            z-index: 100000;
+            background: rgba(0, 0, 0, 0.4);
+        }
+
+        .ali-real-price-popup.ali-real-price-sheet {
+            position: fixed;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            width: auto;
+            max-height: 75vh;
+            overflow-y: auto;
+            border-radius: 12px 12px 0 0;
+            padding: 16px;
+            font-size: 14px;
+        }
+
+        .ali-real-price-sheet .ali-real-price-variant-table td {
+            padding: 8px 4px 8px 0; /* Rows are tap targets for pinning */
+        }
+
+        .ali-real-price-sheet-close {
+            float: right;
+            padding: 0 4px 8px 12px;
+            font-size: 18px;
+            color: #999;
+            cursor: pointer;
+        }
+
         .ali-real-price-popup ul {
             list-style: none;
             padding: 0;
@@ -842,39 +1513,439 @@
             color: #2196F3;
         }
 
-        .ali-real-price-popup .free-shipping-threshold {
-            font-style: italic;
-            color: #4CAF50;
-            margin-top: 8px;
+        .ali-real-price-variant-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 0 0 10px 0;
         }
-    `;
 
-    // Cache configuration
-    const CACHE_CONFIG = {
-        variants: { duration: 86400000, maxEntries: 10000 },  // 24 hours
-        shipping: { duration: 86400000, maxEntries: 10000 },  // 24 hours
-        context: { duration: 86400000, maxEntries: 10000 }      // 24 hours
-    };
+        .ali-real-price-variant-table th {
+            text-align: left;
+            font-weight: normal;
+            color: #999;
+            border-bottom: 1px solid #eee;
+        }
 
-    // --- Default DOM Selectors ---
-    const DEFAULT_SELECTORS = {
-        productCard: [
-            '.search-card-item',         // Main search results
-            '.lq_b.io_it',              // Alternative class combination
-            '.comet-v2-list-item',      // Keep some old selectors as fallback
-            '.comet-v2-product-card',
-            'div[class*="ProductItem"]',
-            'div[class*="product-card"]',
-            'div[class*="card-out-wrapper"]'
-        ].join(','),
-        price: [
-            '.lq_j3',                   // Main price container
-            '.lq_et',                   // Price wrapper
-            '.l5_k6',
-            '.U-S0j',
-            'div[class*="price-current"]',
-            'div[class*="PriceText"]',
+        .ali-real-price-variant-table td {
+            padding: 4px 4px 4px 0;
+            border-bottom: 1px solid #f5f5f5;
+            vertical-align: top;
+        }
+
+        .ali-real-price-variant-table td:not(:first-child),
+        .ali-real-price-variant-table th:not(:first-child) {
+            text-align: right;
+            white-space: nowrap;
+        }
+
+        .ali-real-price-variant-table tr.median-match {
+            font-weight: bold;
+            color: #2196F3;
+        }
+
+        .ali-real-price-variant-table tr.pinnable {
+            cursor: pointer;
+        }
+
+        .ali-real-price-variant-table tr.pinnable:hover {
+            background: #f0f7ff;
+        }
+
+        .ali-real-price-variant-table tr.pinned {
+            font-weight: bold;
+            color: #e65100;
+        }
+
+        .ali-real-price-variant-table tr.ali-real-price-variant-group td {
+            padding-top: 6px;
+            font-weight: bold;
+            color: #555;
+            background: #fafafa;
+        }
+
+        .ali-real-price-attribute-spread {
+            margin-bottom: 10px;
+            color: #555;
+        }
+
+        .ali-real-price-attribute-spread ul {
+            margin: 0 0 4px 0;
+        }
+
+        .ali-real-price-attribute-spread li {
+            padding: 1px 0;
+            border-bottom: none;
+        }
+
+        .ali-real-price-popup .free-shipping-threshold {
+            font-style: italic;
+            color: #4CAF50;
+            margin-top: 8px;
+        }
+
+        .ali-real-price-bait-badge {
+            display: inline-block;
+            margin-top: 3px;
+            padding: 1px 6px;
+            border-radius: 3px;
+            font-size: 11px;
+            font-weight: bold;
+            line-height: 1.5;
+            color: white;
+        }
+
+        .ali-real-price-bait-badge.moderate {
+            background: #fb8c00;
+        }
+
+        .ali-real-price-bait-badge.severe {
+            background: #e53935;
+        }
+
+        .ali-real-price-bait-badge.below-threshold {
+            display: none;
+        }
+
+        .ali-real-price-unit-note {
+            color: #888;
+            font-weight: normal;
+        }
+
+        .ali-real-price-order-note {
+            margin: 6px 0;
+            color: #6a1b9a;
+            font-size: 12px;
+        }
+
+        .ali-real-price-cart-total {
+            margin-top: 4px;
+            font-size: 12px;
+            font-weight: bold;
+            color: #ff4747;
+        }
+
+        .ali-real-price-cart-threshold {
+            margin: 6px 0;
+            padding: 4px 8px;
+            border-radius: 4px;
+            background: #e8f5e9;
+            color: #2e7d32;
+            font-size: 12px;
+        }
+
+        .ali-real-price-sku-total {
+            display: block;
+            margin-top: 2px;
+            font-size: 10px;
+            line-height: 1.2;
+            color: #666;
+            white-space: nowrap;
+        }
+
+        .ali-real-price-sku-cheapest {
+            outline: 2px solid #4CAF50 !important;
+            outline-offset: 1px;
+        }
+
+        .ali-real-price-sku-cheapest .ali-real-price-sku-total {
+            color: #2e7d32;
+            font-weight: bold;
+        }
+
+        .ali-real-price-origin {
+            margin-left: 4px;
+            padding: 0 4px;
+            border-radius: 3px;
+            background: #eee;
+            color: #555;
+            font-size: 11px;
+            font-weight: normal;
+        }
+
+        .ali-real-price-origin.local {
+            background: #e8f5e9;
+            color: #2e7d32;
+        }
+
+        .ali-real-price-card-unit {
+            display: none;
+            font-size: 12px;
+            color: #666;
+            font-weight: normal;
+        }
+
+        .ali-real-price-show-unit-prices .ali-real-price-card-unit {
+            display: inline;
+        }
+
+        .ali-real-price-watch-toggle {
+            margin-left: 6px;
+            font-size: 16px;
+            color: #999;
+            cursor: pointer;
+            font-weight: normal;
+        }
+
+        .ali-real-price-watch-toggle.watched {
+            color: #ffb300;
+        }
+
+        .ali-real-price-popup-header {
+            text-align: right;
+            margin: -6px -4px 0 0;
+        }
+
+        .ali-real-price-toast {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            z-index: 100000;
+            max-width: 320px;
+            padding: 10px 14px;
+            border-radius: 4px;
+            background: rgba(0, 0, 0, 0.85);
+            color: white;
+            font-size: 13px;
+            cursor: pointer;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+        }
+
+        .ali-real-price-histogram-panel {
+            position: fixed;
+            bottom: 10px;
+            left: 10px;
+            z-index: 99998;
+            width: 240px;
+            background: white;
+            border-radius: 4px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+            font-size: 12px;
+            color: #333;
+            display: none;
+        }
+
+        .ali-real-price-histogram-panel.visible {
+            display: block;
+        }
+
+        .ali-real-price-histogram-header {
+            display: flex;
+            justify-content: space-between;
+            padding: 6px 10px;
+            font-weight: bold;
+            cursor: pointer;
+            user-select: none;
+        }
+
+        .ali-real-price-histogram-panel.collapsed .ali-real-price-histogram-body {
+            display: none;
+        }
+
+        .ali-real-price-histogram-body {
+            padding: 0 10px 8px 10px;
+        }
+
+        .ali-real-price-histogram-bars {
+            display: flex;
+            align-items: flex-end;
+            gap: 1px;
+            height: 50px;
+            border-bottom: 1px solid #ddd;
+        }
+
+        .ali-real-price-histogram-bar {
+            flex: 1;
+            min-height: 1px;
+            background: #2196F3;
+        }
+
+        .ali-real-price-histogram-bar.out-of-range {
+            background: #cfd8dc;
+        }
+
+        .ali-real-price-histogram-slider {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 11px;
+            color: #666;
+        }
+
+        .ali-real-price-histogram-slider input {
+            flex: 1;
+        }
+
+        .ali-real-price-histogram-label {
+            text-align: center;
+            font-weight: bold;
+            margin: 2px 0;
+        }
+
+        .ali-real-price-histogram-controls {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+
+        .ali-real-price-histogram-reset {
+            color: #2196F3;
+            text-decoration: underline;
+            cursor: pointer;
+        }
+
+        .ali-real-price-filtered-dim {
+            opacity: 0.25;
+        }
+
+        .ali-real-price-filtered-hidden {
+            display: none !important;
+        }
+
+        .ali-real-price-popup .free-shipping-progress {
+            color: #4CAF50;
+        }
+
+        .ali-real-price-shipping-methods {
+            margin-top: 8px;
+            color: #666;
+        }
+
+        .ali-real-price-shipping-methods ul {
+            margin: 2px 0 0;
+        }
+
+        .ali-real-price-shipping-methods li.selected {
+            color: #333;
+            font-weight: bold;
+        }
+
+        .ali-real-price-history {
+            margin-top: 8px;
+            color: #666;
+        }
+
+        .ali-real-price-sparkline polyline {
+            fill: none;
+            stroke: #2196F3;
+            stroke-width: 1.5;
+        }
+
+        .ali-real-price-history-stats {
+            font-size: 11px;
+        }
+    `;
+
+    // Price history configuration (kept separately from the 24h cache)
+    const PRICE_HISTORY_CONFIG = {
+        maxProducts: 1000,             // Least recently updated products are dropped beyond this
+        maxPointsPerVariant: 60,
+        minSnapshotInterval: 3600000,  // 1 hour - skip unchanged snapshots closer together than this
+        saveDelay: 5000                // Debounce for writing the history blob
+    };
+
+    // Cache configuration: one namespace per bucket, each with its own TTL and LRU size limit
+    const CACHE_CONFIG = {
+        variants: { duration: 86400000, maxEntries: 10000 },  // 24 hours
+        shipping: { duration: 86400000, maxEntries: 10000 }   // 24 hours - per-origin freight quotes
+    };
+
+    // Cache persistence: one GM value per entry ("aliexpress_cache:<bucket>:<key>") plus an index of
+    // each bucket's keys with their expiry and last-use times
+    const CACHE_STORAGE = {
+        entryPrefix: 'aliexpress_cache:',
+        indexKey: 'aliexpress_cache_index',
+        legacyKey: 'aliexpress_cache',  // Old single-blob cache, migrated on first load
+        saveDelay: 2000                 // Debounce for batched writes
+    };
+
+    // Re-score enhanced cards when the page median moves by more than this fraction
+    const CONTEXT_RECALCULATION_THRESHOLD = 0.15;
+
+    // Ship-to destination used when neither the settings panel nor the page cookie provide one
+    const DEFAULT_DESTINATION = {
+        country: 'US',
+        province: '922867650000000000',
+        city: '922867656497000000',
+        postalCode: ''
+    };
+
+    // --- Default Shipping Preference ---
+    // mode: 'cheapest', 'fastest' or 'within' (cheapest method that arrives within maxDays)
+    const DEFAULT_SHIPPING_PREFERENCE = {
+        mode: 'cheapest',
+        maxDays: 20
+    };
+
+    // --- Default Accessory Keywords ---
+    // Variant names containing one of these are treated as accessories rather than the advertised product.
+    // Users can add/exclude keywords (and regexes) and override them per search term in the settings panel.
+    // Keywords are matched against the name without accents and in singular form, so list them that way;
+    // Russian entries are stems, since their plurals change the ending.
+    const ACCESSORY_KEYWORDS_BY_LANGUAGE = {
+        en: [
+            'case', 'cover', 'protector', 'cable', 'adapter', 'charger',
+            'holder', 'stand', 'accessory', 'kit', 'pedal', 'spare',
+            'replacement', 'tool', 'bag', 'box'
+        ],
+        es: [
+            'funda', 'carcasa', 'protector', 'cable', 'adaptador', 'cargador',
+            'soporte', 'accesorio', 'kit', 'pedal', 'repuesto', 'herramienta', 'bolsa', 'caja', 'estuche'
+        ],
+        fr: [
+            'coque', 'etui', 'housse', 'protection', 'cable', 'adaptateur', 'chargeur',
+            'support', 'accessoire', 'kit', 'pedale', 'rechange', 'outil', 'sac', 'boite'
+        ],
+        de: [
+            'hulle', 'abdeckung', 'schutzfolie', 'kabel', 'adapter', 'ladegerat',
+            'halter', 'stander', 'zubehor', 'kit', 'ersatz', 'werkzeug', 'tasche', 'box', 'etui'
+        ],
+        pt: [
+            'capa', 'capinha', 'pelicula', 'protetor', 'cabo', 'adaptador', 'carregador',
+            'suporte', 'acessorio', 'kit', 'pedal', 'reposicao', 'ferramenta', 'bolsa', 'caixa', 'estojo'
+        ],
+        ru: [
+            'чехл', 'чехол', 'накладк', 'защитн', 'пленк', 'кабел', 'провод', 'адаптер', 'переходник',
+            'зарядн', 'держател', 'подставк', 'аксессуар', 'набор', 'запчаст', 'инструмент', 'сумк', 'коробк', 'кейс'
+        ]
+    };
+
+    // Plural endings per language, applied to each word of the (accent-stripped) name; first matching rule wins
+    const PLURAL_RULES = {
+        en: [[/ies$/, 'y'], [/(x|ch|sh|ss)es$/, '$1'], [/([^s])s$/, '$1']],
+        es: [[/ces$/, 'z'], [/([^aeiou])es$/, '$1'], [/([aeiou])s$/, '$1']],
+        fr: [[/aux$/, 'al'], [/(eau|eu)x$/, '$1'], [/([^s])s$/, '$1']],
+        de: [[/en$/, 'e'], [/([^s])s$/, '$1']],
+        pt: [[/oes$/, 'ao'], [/ns$/, 'm'], [/([^aeiou])es$/, '$1'], [/([aeiou])s$/, '$1']],
+        ru: []
+    };
+
+    // --- Default DOM Selectors ---
+    const DEFAULT_SELECTORS = {
+        productCard: [
+            '.search-card-item',         // Main search results
+            '.lq_b.io_it',              // Alternative class combination
+            '.comet-v2-list-item',      // Keep some old selectors as fallback
+            '.comet-v2-product-card',
+            'div[class*="ProductItem"]',
+            'div[class*="product-card"]',
+            'div[class*="card-out-wrapper"]',
+            // Mobile (m.aliexpress.com) search and recommendation feeds
+            '.product-item-card',
+            'div[class*="search-item-card"]',
+            'div[class*="ProductCard"]',
+            'a[class*="product-container"][href*="/item/"]'
+        ].join(','),
+        price: [
+            '.lq_j3',                   // Main price container
+            '.lq_et',                   // Price wrapper
+            '.l5_k6',
+            '.U-S0j',
+            'div[class*="price-current"]',
+            'div[class*="PriceText"]',
             'div[class*="productPrice"]',
+            'div[class*="price-sale"]', // Mobile card prices
+            'div[class*="price-mobile"]',
+            'span[class*="price-current"]',
             'div[class*="price"]',      // More generic fallbacks
             'span[class*="price"]',
             '[data-price]',             // Data attribute
@@ -896,22 +1967,170 @@
             '.pdp-recommend-item',
             '.recommend-item',
             '.bundle-item',
-            'div[class*="RecommendItem"]'
+            '.store-recommend-item',
+            'div[class*="RecommendItem"]',
+            'div[class*="bundle-item"]',
+            'div[class*="store-more"] a[href*="/item/"]'
         ].join(','),
         variants: [
             '.sku-property-item',
             '.sku-property-text',
             '.sku-property-image',
             'div[class*="SkuItem"]'
+        ].join(','),
+        variantLists: [
+            '.sku-property',
+            'div[class*="sku-item--property"]'
+        ].join(','),
+        quantity: [
+            '.comet-v2-input-number-input',
+            '.product-number-picker input',
+            'input[class*="quantity"]'
+        ].join(','),
+        cartItem: [
+            '.cart-product',
+            'div[class*="cart-product-"]',
+            'div[class*="CartProduct"]'
+        ].join(','),
+        cartStore: [
+            '.cart-store',
+            'div[class*="cart-store-"]',
+            'div[class*="group-store"]'
+        ].join(','),
+        order: [
+            '.order-item',
+            'div[class*="order-item--"]'
+        ].join(','),
+        orderProduct: [
+            '.order-item-content-body',
+            'div[class*="order-item-content-body"]'
+        ].join(','),
+        orderSku: [
+            '.order-item-content-info-sku',
+            'div[class*="info-sku"]'
         ].join(',')
     };
 
+    // --- Currency Parsing ---
+    // Symbols as they appear in AliExpress price text, longest first so "R$" wins over "$"
+    const CURRENCY_SYMBOLS = [
+        { symbol: 'US $', code: 'USD' },
+        { symbol: 'R$', code: 'BRL' },
+        { symbol: 'C$', code: 'CAD' },
+        { symbol: 'A$', code: 'AUD' },
+        { symbol: 'zł', code: 'PLN' },
+        { symbol: '€', code: 'EUR' },
+        { symbol: '£', code: 'GBP' },
+        { symbol: '₽', code: 'RUB' },
+        { symbol: '₹', code: 'INR' },
+        { symbol: '₩', code: 'KRW' },
+        { symbol: '¥', code: 'JPY' },
+        { symbol: '$', code: 'USD' }
+    ];
+    const CURRENCY_SYMBOL_SOURCE = CURRENCY_SYMBOLS
+        .map(({ symbol }) => symbol.replace(/\$/g, '\\$'))
+        .join('|');
+    // Digits with space-grouped thousands ("1 234,56") or ./, separators ("1.234,56", "1,234.56")
+    const AMOUNT_SOURCE = '\\d{1,3}(?:[\\s\\u00a0\\u202f]\\d{3})+(?:[.,]\\d+)?|\\d[\\d.,]*';
+    const AMOUNT_PATTERN = new RegExp(AMOUNT_SOURCE);
+    // An amount with a currency symbol on either side: "$12.34", "€1.234,56", "1 234 ₽"
+    const CURRENCY_AMOUNT_PATTERN = new RegExp(
+        `(?:${CURRENCY_SYMBOL_SOURCE})\\s?(?:${AMOUNT_SOURCE})|(?:${AMOUNT_SOURCE})\\s?(?:${CURRENCY_SYMBOL_SOURCE})`
+    );
+    // Text consisting of nothing but a price
+    const PRICE_TEXT_PATTERN = new RegExp(
+        `^(?:${CURRENCY_SYMBOL_SOURCE})?\\s?(?:${AMOUNT_SOURCE})\\s?(?:${CURRENCY_SYMBOL_SOURCE})?$`
+    );
+
+    // "Free shipping over $10", "Free delivery on orders over €15,00"
+    const FREE_SHIPPING_TEXT_PATTERN = new RegExp(
+        `free (?:shipping|delivery)\\D{0,30}?(${CURRENCY_AMOUNT_PATTERN.source})`,
+        'i'
+    );
+
+    // --- Country Names ---
+    // Ship-from names AliExpress uses that Intl.DisplayNames doesn't produce (normalized: lowercase, no accents)
+    const COUNTRY_NAME_ALIASES = [
+        ['russian federation', 'RU'],
+        ['usa', 'US'],
+        ['united states of america', 'US'],
+        ['uk', 'GB'],
+        ['czech republic', 'CZ'],
+        ['korea', 'KR']
+    ];
+
+    // --- Quantity Units ---
+    // Units recognised in variant names ("10PCS", "2m", "5 pairs", "500g"); factor converts to the base unit.
+    // Order matters: the first unit found in a name wins, and "mm"/"cm" must be tried before "m".
+    const QUANTITY_UNITS = [
+        { pattern: 'pcs|pc|pieces?', base: 'pc', factor: 1 },
+        { pattern: 'pairs?', base: 'pair', factor: 1 },
+        { pattern: 'mm', base: 'm', factor: 0.001 },
+        { pattern: 'cm', base: 'm', factor: 0.01 },
+        { pattern: 'km', base: 'm', factor: 1000 },
+        { pattern: 'meters?|metres?|m', base: 'm', factor: 1 },
+        { pattern: 'ft|feet', base: 'm', factor: 0.3048 },
+        { pattern: 'kg', base: 'g', factor: 1000 },
+        // Grams need a standalone, explicit lowercase "g" (or "gr"/"gram") not followed by B:
+        // "64G", "128GB" and "8G RAM" are storage or memory sizes, not weights
+        {
+            base: 'g', factor: 1, minQuantity: 10,
+            regex: /\b(\d+(?:[.,]\d+)?)\s*(?:[Gg]rams?|[Gg]r|g)(?![Bb])\b/,
+            exclude: /\d\s*gb\b|\bgb\b|\bram\b|\brom\b/i
+        },
+        { pattern: 'lbs?', base: 'g', factor: 453.592 },
+        { pattern: 'oz', base: 'g', factor: 28.3495 },
+        { pattern: 'ml', base: 'ml', factor: 1 },
+        { pattern: 'liters?|litres?|l', base: 'ml', factor: 1000 }
+    ].map(unit => ({
+        ...unit,
+        regex: unit.regex || new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*(?:${unit.pattern})\\b`, 'i')
+    }));
+    // Unit prices are shown per this many base units (per 100 g reads better than per 1 g)
+    const UNIT_DISPLAY = {
+        pc: { per: 1, label: 'pc' },
+        pair: { per: 1, label: 'pair' },
+        m: { per: 1, label: 'm' },
+        g: { per: 100, label: '100 g' },
+        ml: { per: 100, label: '100 ml' }
+    };
+    // Share of products that must have the same unit before comparing by unit price
+    const UNIT_PRICE_MAJORITY = 0.6;
+
     // --- Effective Selectors (Defaults + Custom) ---
     let effectivePriceSelectors = []; // Will be populated in init
 
+    // --- Active Ship-To Destination ---
+    let shipToDestination = { ...DEFAULT_DESTINATION, source: 'default' }; // Will be populated in init
+
+    // --- Shipping Method Preference ---
+    let shippingPreference = { ...DEFAULT_SHIPPING_PREFERENCE }; // Will be populated in init
+
+    // --- Accessory Rules ---
+    // { include: [keyword], exclude: [keyword], overrides: [{ term, include, exclude }] }; "/regex/flags" keywords are regexes
+    let accessoryRules = { include: [], exclude: [], overrides: [] }; // Will be populated in init
+    let accessoryMatchers = { include: [], exclude: [], languages: ['en'] }; // Compiled for the current search by compileAccessoryRules
+
+    // --- Ships-From Preference ---
+    let preferLocalWarehouse = false; // Will be populated in init
+
+    // --- Unit Price Preferences ---
+    let showUnitPriceOnCards = false; // Will be populated in init
+    let useUnitPriceContext = true;   // Score against unit prices when most of the page shares a unit
+
+    // --- Bait Badge Threshold (0-100) ---
+    let baitScoreThreshold = 40; // Will be populated in init
+
+    // --- Shopper Currency and Locale ---
+    let shopperCurrency = 'USD'; // Will be populated in init
+    let shopperLocale = 'en-US'; // Used for number formatting
+
     // Set to store newly learned selectors during this session
     const newlyFoundSelectors = new Set();
 
+    // Global loading manager instance. Created after the settings above, which its controls read while constructing
+    const loadingManager = new LoadingManager();
+
     // Utility functions
     const utils = {
         extractProductId(element) {
@@ -936,6 +2155,14 @@
                     return element.getAttribute('data-product-id') || 
                            element.getAttribute('data-item-id') ||
                            element.getAttribute('data-id');
+                },
+                // Method 4: Mobile links (/i/<id>.html, ...?productId=<id>)
+                () => {
+                    const link = element.matches('a[href]')
+                        ? element
+                        : element.querySelector('a[href*="/i/"], a[href*="productId="]');
+                    const match = link?.getAttribute('href').match(/(?:\/i\/|[?&]productId=)(\d+)/);
+                    return match ? match[1] : null;
                 }
             ];
 
@@ -952,204 +2179,1009 @@
             return null;
         },
 
-        formatPrice(value, currency = 'USD') {
-            return new Intl.NumberFormat('en-US', {
+        formatPrice(value, currency = shopperCurrency) {
+            return new Intl.NumberFormat(shopperLocale, {
                 style: 'currency',
                 currency: currency
             }).format(value);
         },
 
-        delay(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
+        // Parse a localized amount such as "1,234.56", "1.234,56" or "1 234" into a number
+        parseAmount(text) {
+            if (text === null || text === undefined) return 0;
+            if (typeof text === 'number') return text;
+            const match = String(text).match(AMOUNT_PATTERN);
+            if (!match) return 0;
+            const number = match[0].replace(/[\s\u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+            const lastSeparator = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+            if (lastSeparator === -1) return parseFloat(number) || 0;
+
+            // A lone separator followed by exactly three digits is a thousands separator ("1.234", "1,234")
+            const decimals = number.length - lastSeparator - 1;
+            const hasBothSeparators = number.includes('.') && number.includes(',');
+            if (decimals !== 3 || hasBothSeparators) {
+                const integerPart = number.slice(0, lastSeparator).replace(/[.,]/g, '');
+                return parseFloat(`${integerPart}.${number.slice(lastSeparator + 1)}`) || 0;
+            }
+            return parseFloat(number.replace(/[.,]/g, '')) || 0;
         },
 
-        // Get cookie by name
-        getCookie(name) {
-            const cookies = document.cookie.split(';');
-            for (let i = 0; i < cookies.length; i++) {
-                const cookie = cookies[i].trim();
-                if (cookie.startsWith(name + '=')) {
-                    return cookie.substring(name.length + 1);
-                }
+        // Parse a quantity and unit out of a variant name, e.g. "10PCS" -> { quantity: 10, unit: 'pc' }
+        parseQuantity(name) {
+            if (!name) return null;
+            for (const unit of QUANTITY_UNITS) {
+                if (unit.exclude?.test(name)) continue;
+                const match = name.match(unit.regex);
+                if (!match) continue;
+                const amount = parseFloat(match[1].replace(',', '.'));
+                if (!(amount > 0) || amount < (unit.minQuantity || 0)) continue;
+                return { quantity: amount * unit.factor, unit: unit.base };
             }
-            return '';
+            return null;
         },
 
-        // Generate sign for API requests
-        generateSign(token, timestamp, appKey, data) {
-            const signStr = `${token}&${timestamp}&${appKey}&${data}`;
-            return md5(signStr);
+        // Real total (item + shipping) per base unit, or null if the name has no quantity
+        getUnitPrice(variant) {
+            const parsed = this.parseQuantity(variant.name);
+            if (!parsed) return null;
+            const total = (variant.price?.discountedValue || 0) + (variant.shipping?.cost || 0);
+            return { unit: parsed.unit, price: total / parsed.quantity };
         },
 
-        // Generate a CSS selector from a className string
-        generateSelectorFromClasses(className) {
-            if (!className || typeof className !== 'string') {
-                return null;
-            }
-            // Trim, split by whitespace, filter empty, prepend dot, join
-            const selector = className.trim().split(/\s+/).filter(Boolean).map(cls => `.${cls}`).join('');
-            return selector || null; // Return null if no valid classes found
-        }
-    };
+        // Cheapest unit price per unit across a list of variants: { m: 0.5, pc: 0.12 }
+        getUnitPrices(variants) {
+            const unitPrices = {};
+            (variants || []).forEach(variant => {
+                const unitPrice = this.getUnitPrice(variant);
+                if (!unitPrice || !(unitPrice.price > 0)) return;
+                unitPrices[unitPrice.unit] = Math.min(unitPrices[unitPrice.unit] ?? Infinity, unitPrice.price);
+            });
+            return unitPrices;
+        },
 
-    // Cache Manager
-    class CacheManager {
-        constructor() {
-            this._cache = new Map(); // Renamed internal cache
-            // Removed flags, timeouts, locks, timestamps
-            // Load is now handled by initialize()
-        }
+        // The unit shared by most products (each given as a unit price map), or null if there's no clear majority
+        findDominantUnit(unitPriceMaps) {
+            if (unitPriceMaps.length < 3) return null;
+            const counts = {};
+            unitPriceMaps.forEach(unitPrices => {
+                Object.keys(unitPrices || {}).forEach(unit => { counts[unit] = (counts[unit] || 0) + 1; });
+            });
+            const [unit, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+            return unit && count / unitPriceMaps.length >= UNIT_PRICE_MAJORITY ? unit : null;
+        },
 
-        async initialize() {
-            log('[CacheManager] Initializing... attempting to load cache from storage.');
-            await this.loadFromStorage();
-            log('[CacheManager] Initialization complete (cache loaded).');
-        }
+        formatUnitPrice(unitPrice) {
+            const display = UNIT_DISPLAY[unitPrice.unit] || { per: 1, label: unitPrice.unit };
+            return `${this.formatPrice(unitPrice.price * display.per)}/${display.label}`;
+        },
 
-        async loadFromStorage() {
-            if (isCacheDisabled) {
+        // Parse a delivery estimate ("15-30", "7 - 12 business days", 20) into { minDays, maxDays }
+        parseDeliveryDays(value) {
+            if (typeof value === 'number') {
+                return value > 0 ? { minDays: value, maxDays: value } : null;
+            }
+            const text = String(value || '');
+            // Only trust plain numbers or text that talks about days, not dates like "Nov 12 - 20"
+            if (!/^\s*\d+(\s*[-–~]\s*\d+)?\s*$/.test(text) && !/day/i.test(text)) return null;
+            const numbers = (text.match(/\d+/g) || []).map(Number);
+            if (numbers.length === 0) return null;
+            return { minDays: Math.min(...numbers), maxDays: Math.max(...numbers) };
+        },
+
+        // Pick the shipping method whose cost goes into the real total
+        selectShippingMethod(methods, preference = shippingPreference) {
+            if (!methods || methods.length === 0) return null;
+            const byCost = (a, b) => a.cost - b.cost || (a.maxDays ?? Infinity) - (b.maxDays ?? Infinity);
+            const bySpeed = (a, b) => a.maxDays - b.maxDays || a.cost - b.cost;
+            const dated = methods.filter(method => method.maxDays != null);
+
+            if (preference.mode === 'within') {
+                const inTime = dated.filter(method => method.maxDays <= preference.maxDays);
+                if (inTime.length > 0) return [...inTime].sort(byCost)[0];
+                // Nothing arrives in time, so the fastest method is the closest match
+                if (dated.length > 0) return [...dated].sort(bySpeed)[0];
+            } else if (preference.mode === 'fastest' && dated.length > 0) {
+                return [...dated].sort(bySpeed)[0];
+            }
+            return [...methods].sort(byCost)[0];
+        },
+
+        formatDeliveryDays(method) {
+            if (method.maxDays == null) return '';
+            return method.minDays != null && method.minDays !== method.maxDays
+                ? `${method.minDays}-${method.maxDays} days`
+                : `${method.maxDays} days`;
+        },
+
+        // Product ID of the product detail page we're on (/item/<id>.html), or null elsewhere
+        getProductPageId() {
+            // Desktop and mobile use /item/<id>.html; some mobile links use /i/<id>.html
+            const match = window.location.pathname.match(/\/(?:item|i)\/(\d+)\.html/);
+            return match ? match[1] : null;
+        },
+
+        // Search term of the current results page ("/w/wholesale-tool-kit.html" or ?SearchText=tool+kit), lowercased
+        getSearchTerm() {
+            const params = new URLSearchParams(window.location.search);
+            const fromParams = params.get('SearchText') || params.get('searchText') || params.get('keywords');
+            if (fromParams) return fromParams.trim().toLowerCase();
+            const match = window.location.pathname.match(/wholesale-([^/]+)\.html/);
+            return match ? decodeURIComponent(match[1]).replace(/-/g, ' ').trim().toLowerCase() : '';
+        },
+
+        // Keyword -> RegExp: "/pattern/flags" is used as-is, anything else matches as a substring of the normalized name
+        compileKeyword(keyword) {
+            const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/);
+            if (regexMatch) {
+                // g/y make test() stateful (lastIndex), so the same name would alternate between match and no match
+                const flags = regexMatch[2].replace(/[gy]/g, '');
+                return new RegExp(regexMatch[1], flags || 'i');
+            }
+            const normalized = this.normalizeForMatching(keyword);
+            return new RegExp(normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        },
+
+        // Lowercase and strip accents (é -> e, ü -> u, ё -> е); with a language, also reduce each word to its singular
+        normalizeForMatching(text, language = null) {
+            const plain = String(text || '')
+                .toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/ё/g, 'е');
+            const rules = PLURAL_RULES[language] || [];
+            if (rules.length === 0) return plain;
+            return plain.split(/([^\p{L}\p{N}]+)/u).map(word => {
+                if (word.length <= 3) return word;
+                const rule = rules.find(([pattern]) => pattern.test(word));
+                return rule ? word.replace(rule[0], rule[1]) : word;
+            }).join('');
+        },
+
+        // The name as written (normalized) plus its singular form in each language, for keyword matching
+        getMatchingForms(name, languages) {
+            return Array.from(new Set([null, ...languages].map(language => this.normalizeForMatching(name, language))));
+        },
+
+        // Languages whose accessory keywords apply: the page/shopper language, plus English (used by many sellers)
+        getAccessoryLanguages() {
+            const languages = [shopperLocale, document.documentElement.lang]
+                .map(locale => (locale || '').split(/[-_]/)[0].toLowerCase())
+                .filter(language => ACCESSORY_KEYWORDS_BY_LANGUAGE[language]);
+            return Array.from(new Set([...languages, 'en']));
+        },
+
+        // Locale for API requests ("es_ES"): the shopper's, when there are accessory keywords for its language,
+        // so variant names come back in a language isAccessory can match; English otherwise
+        getApiLocale() {
+            const [language = '', region] = shopperLocale.split(/[-_]/);
+            const code = language.toLowerCase();
+            if (!ACCESSORY_KEYWORDS_BY_LANGUAGE[code]) return 'en_US';
+            return `${code}_${(region || code).toUpperCase()}`;
+        },
+
+        // Split comma/newline separated keywords, keeping commas inside /regexes/ intact
+        parseKeywordList(text) {
+            return (text.match(/\s*[+-]?\/(?:\\.|[^/\\\n])+\/[a-z]*|[^,\n]+/g) || [])
+                .map(keyword => keyword.trim())
+                .filter(Boolean);
+        },
+
+        // RFC 4180 CSV: quote every field, double embedded quotes
+        toCsv(rows) {
+            return rows
+                .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+                .join('\r\n');
+        },
+
+        isOrderListPage() {
+            return /\/p\/order\/index\.html|orderList/i.test(window.location.pathname);
+        },
+
+        isCartPage() {
+            return /shoppingcart/i.test(window.location.hostname + window.location.pathname);
+        },
+
+        // Drop elements nested inside another element of the list (loose selectors match wrappers and their children)
+        getOutermostElements(elements) {
+            const list = Array.from(elements);
+            return list.filter(element => !list.some(other => other !== element && other.contains(element)));
+        },
+
+        // Readable ship-from label: "CN" -> "China" (in the shopper's language); other values are shown as-is
+        formatOrigin(shipFrom) {
+            if (!/^[A-Z]{2}$/.test(shipFrom || '')) return shipFrom || '';
+            try {
+                return new Intl.DisplayNames([shopperLocale], { type: 'region' }).of(shipFrom) || shipFrom;
+            } catch (error) {
+                return shipFrom;
+            }
+        },
+
+        // ISO code of a ship-from value: "CN" as-is, or a country name ("Spain", "España") in English or the
+        // shopper's language; null when it isn't recognised
+        getCountryCode(value) {
+            const text = String(value || '').trim();
+            if (/^[A-Z]{2}$/.test(text)) return text;
+            if (!text) return null;
+
+            if (!this.countryCodesByName) {
+                this.countryCodesByName = new Map(COUNTRY_NAME_ALIASES);
+                try {
+                    const displayNames = [...new Set(['en', shopperLocale])]
+                        .map(locale => new Intl.DisplayNames([locale], { type: 'region' }));
+                    for (let first = 65; first <= 90; first++) {
+                        for (let second = 65; second <= 90; second++) {
+                            const code = String.fromCharCode(first, second);
+                            displayNames.forEach(names => {
+                                const name = names.of(code);
+                                if (name && name !== code) {
+                                    this.countryCodesByName.set(this.normalizeForMatching(name), code);
+                                }
+                            });
+                        }
+                    }
+                } catch (error) {
+                    log('Error building the country name lookup:', error);
+                }
+            }
+            return this.countryCodesByName.get(this.normalizeForMatching(text)) || null;
+        },
+
+        // Variants that ship from the destination country when local warehouses are preferred (and any exist)
+        getPreferredVariants(variants) {
+            if (!preferLocalWarehouse || !variants) return variants;
+            const localVariants = variants.filter(variant => variant.shipFrom === shipToDestination.country);
+            return localVariants.length > 0 ? localVariants : variants;
+        },
+
+        // Detect an ISO currency code from the symbol in a price string
+        detectCurrencyFromText(text) {
+            if (!text) return null;
+            const match = CURRENCY_SYMBOLS.find(({ symbol }) => text.includes(symbol));
+            return match ? match.code : null;
+        },
+
+        delay(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        },
+
+        // Get cookie by name
+        getCookie(name) {
+            const cookies = document.cookie.split(';');
+            for (let i = 0; i < cookies.length; i++) {
+                const cookie = cookies[i].trim();
+                if (cookie.startsWith(name + '=')) {
+                    return cookie.substring(name.length + 1);
+                }
+            }
+            return '';
+        },
+
+        // Read the page's ship-to destination from the aep_usuc_f cookie
+        // (format: "site=usa&province=...&city=...&c_tp=USD&region=US&b_locale=en_US")
+        getDestinationFromCookie() {
+            const raw = this.getCookie('aep_usuc_f');
+            if (!raw) return null;
+            try {
+                const params = new URLSearchParams(decodeURIComponent(raw));
+                const country = (params.get('region') || '').toUpperCase();
+                if (!country) return null;
+                // Province/city IDs are only meaningful together with their country
+                const useDefaults = country === DEFAULT_DESTINATION.country && !params.get('province');
+                return {
+                    country,
+                    province: params.get('province') || (useDefaults ? DEFAULT_DESTINATION.province : ''),
+                    city: params.get('city') || (useDefaults ? DEFAULT_DESTINATION.city : ''),
+                    postalCode: params.get('zip') || ''
+                };
+            } catch (error) {
+                log('Error parsing ship-to cookie:', error);
+                return null;
+            }
+        },
+
+        // Read the shopper's currency (c_tp) and locale (b_locale) from the aep_usuc_f cookie
+        getCurrencyFromCookie() {
+            const raw = this.getCookie('aep_usuc_f');
+            if (!raw) return null;
+            try {
+                const params = new URLSearchParams(decodeURIComponent(raw));
+                return {
+                    currency: (params.get('c_tp') || '').toUpperCase() || null,
+                    locale: (params.get('b_locale') || '').replace('_', '-') || null
+                };
+            } catch (error) {
+                log('Error parsing currency cookie:', error);
+                return null;
+            }
+        },
+
+        // Key identifying a destination, used to keep cache entries for different destinations apart
+        getDestinationKey(destination) {
+            return [destination.country, destination.province, destination.city, destination.postalCode]
+                .map(part => part || '')
+                .join('|');
+        },
+
+        // Key identifying one product quote (product + destination + currency), shared by cache and history
+        getQuoteKey(productId, destination = shipToDestination) {
+            return `${productId}_${this.getDestinationKey(destination)}_${shopperCurrency}`;
+        },
+
+        // Site/host pair the API expects for a destination
+        getSiteConfig(destination) {
+            return destination.country === 'US'
+                ? { site: 'usa', host: 'www.aliexpress.us', acsHost: 'acs.aliexpress.us' }
+                : { site: 'glo', host: 'www.aliexpress.com', acsHost: 'acs.aliexpress.com' };
+        },
+
+        // Generate sign for API requests
+        generateSign(token, timestamp, appKey, data) {
+            const signStr = `${token}&${timestamp}&${appKey}&${data}`;
+            return md5(signStr);
+        },
+
+        // Generate a CSS selector from a className string
+        generateSelectorFromClasses(className) {
+            if (!className || typeof className !== 'string') {
+                return null;
+            }
+            // Trim, split by whitespace, filter empty, prepend dot, join
+            const selector = className.trim().split(/\s+/).filter(Boolean).map(cls => `.${cls}`).join('');
+            return selector || null; // Return null if no valid classes found
+        }
+    };
+
+    // Cache Manager
+    class CacheManager {
+        constructor() {
+            // One namespace per CACHE_CONFIG bucket: bucket -> Map(key -> { data, timestamp, expiresAt, lastUsed }).
+            // Each Map is kept in recency order, so its first key is the least recently used.
+            this._buckets = new Map(Object.keys(CACHE_CONFIG).map(bucket => [bucket, new Map()]));
+            // Entries are persisted one GM value each; writes are batched by scheduleSave()
+            this._dirtyKeys = new Set(); // "bucket:key" ids to (re)write on the next save
+            this._deletedKeys = new Set(); // "bucket:key" ids to remove from storage on the next save
+            this._indexDirty = false; // Recency changed since the last save; only forced saves persist it on its own
+            this._saveTimeout = null;
+            this._savePromise = Promise.resolve();
+        }
+
+        async initialize() {
+            log('[CacheManager] Initializing... attempting to load cache from storage.');
+            await this.loadFromStorage();
+            log('[CacheManager] Initialization complete (cache loaded).');
+        }
+
+        getBucket(bucket) {
+            const entries = this._buckets.get(bucket);
+            if (!entries) {
+                throw new Error(`Unknown cache bucket: ${bucket}`);
+            }
+            return entries;
+        }
+
+        getStorageKey(id) {
+            return `${CACHE_STORAGE.entryPrefix}${id}`;
+        }
+
+        // The in-memory entry for a "bucket:key" id, if there is one
+        getEntryById(id) {
+            const separator = id.indexOf(':');
+            const entries = this._buckets.get(id.slice(0, separator));
+            return entries?.get(id.slice(separator + 1)) || null;
+        }
+
+        async loadFromStorage() {
+            this._buckets.forEach(entries => entries.clear());
+            if (isCacheDisabled) {
                 log('Cache is disabled, skipping load from storage.');
-                this._cache.clear();
                 return;
             }
             try {
-                const storedCache = await GM.getValue('aliexpress_cache', null);
-                if (storedCache) {
-                    const parsed = JSON.parse(storedCache);
-                    this._cache.clear(); // Use internal property
-                    Object.entries(parsed).forEach(([key, entry]) => {
-                        if (Date.now() <= entry.expiresAt) {
-                            this._cache.set(key, entry); // Use internal property
+                const storedIndex = await GM.getValue(CACHE_STORAGE.indexKey, null);
+                const index = storedIndex ? JSON.parse(storedIndex) : {}; // bucket -> key -> { expiresAt, lastUsed }
+                const now = Date.now();
+
+                for (const [bucket, records] of Object.entries(index)) {
+                    if (this._buckets.has(bucket)) continue;
+                    // A bucket that no longer exists (or an older flat index): drop its entries from storage
+                    if (records && typeof records === 'object') {
+                        Object.keys(records).forEach(key => this._deletedKeys.add(`${bucket}:${key}`));
+                    } else {
+                        this._deletedKeys.add(bucket);
+                    }
+                }
+
+                for (const [bucket, entries] of this._buckets) {
+                    // Oldest first, so Map order matches recency again
+                    const records = Object.entries(index[bucket] || {}).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+                    const storedEntries = await Promise.all(records.map(([key, record]) => record.expiresAt >= now
+                        ? GM.getValue(this.getStorageKey(`${bucket}:${key}`), null)
+                        : null));
+                    records.forEach(([key], i) => {
+                        const entry = storedEntries[i] ? JSON.parse(storedEntries[i]) : null;
+                        if (entry && now <= entry.expiresAt) {
+                            entries.set(key, entry);
+                        } else {
+                            this._deletedKeys.add(`${bucket}:${key}`); // Expired (or missing): drop it from storage
                         }
                     });
-                    log('Loaded cache from storage:', this._cache.size, 'entries');
-                } else {
-                    log('No cache found in storage');
+                    // The limit may have been lowered since these were stored
+                    this.evictLeastRecentlyUsed(bucket, CACHE_CONFIG[bucket].maxEntries);
+                }
+
+                await this.migrateLegacyCache();
+                log('Loaded cache from storage:', this.getStats());
+                if (this._deletedKeys.size > 0 || this._dirtyKeys.size > 0) {
+                    this.scheduleSave();
                 }
             } catch (error) {
                 log('Error loading cache from storage:', error);
             }
         }
 
-        // Simplified direct save
-        async saveToStorage() {
+        // One-time import of the old single-blob cache (product data only) into the variants bucket
+        async migrateLegacyCache() {
+            const legacyCache = await GM.getValue(CACHE_STORAGE.legacyKey, null);
+            if (!legacyCache) return;
+
+            const now = Date.now();
+            const entries = this.getBucket('variants');
+            Object.entries(JSON.parse(legacyCache))
+                .filter(([key, entry]) => now <= entry.expiresAt && !entries.has(key))
+                .sort((a, b) => a[1].timestamp - b[1].timestamp)
+                .forEach(([key, entry]) => {
+                    entries.set(key, { ...entry, lastUsed: entry.timestamp });
+                    this._dirtyKeys.add(`variants:${key}`);
+                });
+            this.evictLeastRecentlyUsed('variants', CACHE_CONFIG.variants.maxEntries);
+            log(`Migrating ${this._dirtyKeys.size} entries from the legacy cache blob`);
+            await this.saveToStorage();
+            await GM.deleteValue(CACHE_STORAGE.legacyKey);
+        }
+
+        // Write-behind: coalesce all changes made within CACHE_STORAGE.saveDelay into one save
+        scheduleSave() {
+            if (this._saveTimeout) return;
+            this._saveTimeout = setTimeout(() => {
+                this._saveTimeout = null;
+                this.saveToStorage();
+            }, CACHE_STORAGE.saveDelay);
+        }
+
+        // Save pending changes, recency included, now (page hide/unload); returns once they are written
+        forceSave() {
+            clearTimeout(this._saveTimeout);
+            this._saveTimeout = null;
+            return this.saveToStorage(true);
+        }
+
+        // Write the changed entries, delete the removed ones and update the index.
+        // Saves run one after another so an older save can't overwrite a newer index.
+        saveToStorage(includeRecency = false) {
+            this._savePromise = this._savePromise.then(() => this._writePendingChanges(includeRecency));
+            return this._savePromise;
+        }
+
+        async _writePendingChanges(includeRecency) {
             if (isCacheDisabled) {
                  log('Save skipped: Cache is disabled.');
                  return;
             }
-            log(`Saving cache with ${this._cache.size} entries...`);
+            const recencyChanged = includeRecency && this._indexDirty;
+            if (this._dirtyKeys.size === 0 && this._deletedKeys.size === 0 && !recencyChanged) return;
+
+            const dirtyKeys = [...this._dirtyKeys].filter(id => this.getEntryById(id));
+            const deletedKeys = [...this._deletedKeys].filter(id => !this.getEntryById(id));
+            this._dirtyKeys.clear();
+            this._deletedKeys.clear();
+            this._indexDirty = false;
+
+            log(`Saving cache: ${dirtyKeys.length} changed, ${deletedKeys.length} removed...`);
             try {
-                const cacheObj = {};
-                this._cache.forEach((value, key) => { // Use internal property
-                    cacheObj[key] = value;
+                const index = {};
+                this._buckets.forEach((entries, bucket) => {
+                    index[bucket] = {};
+                    entries.forEach((entry, key) => {
+                        index[bucket][key] = { expiresAt: entry.expiresAt, lastUsed: entry.lastUsed };
+                    });
                 });
-                await GM.setValue('aliexpress_cache', JSON.stringify(cacheObj));
+                await Promise.all([
+                    ...dirtyKeys.map(id => GM.setValue(this.getStorageKey(id), JSON.stringify(this.getEntryById(id)))),
+                    ...deletedKeys.map(id => GM.deleteValue(this.getStorageKey(id))),
+                    GM.setValue(CACHE_STORAGE.indexKey, JSON.stringify(index))
+                ]);
                 log('Finished saving cache.');
             } catch (error) {
                 log('Error saving cache to storage:', error);
             }
         }
 
-        async get(key) {
+        delete(bucket, key) {
+            if (!this.getBucket(bucket).delete(key)) return;
+            this._dirtyKeys.delete(`${bucket}:${key}`);
+            this._deletedKeys.add(`${bucket}:${key}`);
+            this.scheduleSave();
+        }
+
+        // Drop least recently used entries until the bucket holds at most maxEntries
+        evictLeastRecentlyUsed(bucket, maxEntries) {
+            const entries = this.getBucket(bucket);
+            while (entries.size > maxEntries) {
+                const leastRecentKey = entries.keys().next().value;
+                log(`Cache bucket "${bucket}" is over its limit (${maxEntries}). Evicting least recently used: ${leastRecentKey}`);
+                this.delete(bucket, leastRecentKey);
+            }
+        }
+
+        async get(bucket, key) {
             if (isCacheDisabled) return null;
-            const entry = this._cache.get(key); // Use internal property
+            const entries = this.getBucket(bucket);
+            const entry = entries.get(key);
             if (!entry) return null;
 
             if (Date.now() > entry.expiresAt) {
-                log(`Cache entry expired and removed: ${key}`);
-                this._cache.delete(key); // Use internal property
-                await this.saveToStorage(); // Save immediately after deleting expired entry
+                log(`Cache entry expired and removed: ${bucket}/${key}`);
+                this.delete(bucket, key);
                 return null;
             }
 
+            // Move it to the most recently used end. Recency is kept in memory and persisted with the next
+            // entry change or the pagehide flush; rewriting the index on every hit would make scrolling slow.
+            entries.delete(key);
+            entries.set(key, entry);
+            entry.lastUsed = Date.now();
+            this._indexDirty = true;
+
             return entry.data;
         }
 
-        async set(key, data, config) {
+        async set(bucket, key, data) {
             if (isCacheDisabled) return;
 
-            if (!config || !config.maxEntries || !config.duration) {
-                log('Cache config missing for key:', key, ' Using default config.');
-                config = CACHE_CONFIG.variants;
+            const config = CACHE_CONFIG[bucket];
+            const entries = this.getBucket(bucket);
+            const exists = entries.delete(key); // Re-inserted below as the most recently used
+
+            // Make room for the new entry
+            this.evictLeastRecentlyUsed(bucket, config.maxEntries - 1);
+
+            const now = Date.now();
+            entries.set(key, {
+                data,
+                timestamp: now,
+                expiresAt: now + config.duration,
+                lastUsed: now
+            });
+            this._deletedKeys.delete(`${bucket}:${key}`);
+            this._dirtyKeys.add(`${bucket}:${key}`);
+            log(`CacheManager.set: Set ${bucket}/${key}. Existed=${exists}. Bucket size=${entries.size}/${config.maxEntries}.`);
+
+            this.scheduleSave();
+        }
+
+        // Unexpired entries of a bucket whose key starts with prefix, as [key, data] pairs (doesn't count as a use)
+        getEntries(bucket, prefix = '') {
+            const now = Date.now();
+            return Array.from(this.getBucket(bucket).entries())
+                .filter(([key, entry]) => key.startsWith(prefix) && now <= entry.expiresAt)
+                .map(([key, entry]) => [key, entry.data]);
+        }
+
+        // Entry count, limit and TTL of each bucket
+        getStats() {
+            const stats = {};
+            this._buckets.forEach((entries, bucket) => {
+                stats[bucket] = {
+                    size: entries.size,
+                    maxEntries: CACHE_CONFIG[bucket].maxEntries,
+                    duration: CACHE_CONFIG[bucket].duration
+                };
+            });
+            return stats;
+        }
+
+        // Remove every entry from memory and storage right away
+        async clear() {
+            log('Clearing cache...');
+            await this._savePromise; // Don't let a save in flight rewrite the index afterwards
+
+            const storedIndex = await GM.getValue(CACHE_STORAGE.indexKey, null);
+            const ids = new Set();
+            Object.entries(storedIndex ? JSON.parse(storedIndex) : {}).forEach(([bucket, records]) => {
+                Object.keys(records || {}).forEach(key => ids.add(`${bucket}:${key}`));
+            });
+            this._buckets.forEach((entries, bucket) => {
+                entries.forEach((entry, key) => ids.add(`${bucket}:${key}`));
+                entries.clear();
+            });
+            this._dirtyKeys.clear();
+            this._deletedKeys.clear();
+            this._indexDirty = false;
+            clearTimeout(this._saveTimeout);
+            this._saveTimeout = null;
+
+            // Delete directly: saveToStorage is skipped while the cache is disabled, and disabling it clears it
+            await Promise.all([
+                ...[...ids].map(id => GM.deleteValue(this.getStorageKey(id))),
+                GM.deleteValue(CACHE_STORAGE.indexKey),
+                GM.deleteValue(CACHE_STORAGE.legacyKey)
+            ]);
+        }
+    }
+
+    // Price History Manager - long-lived, timestamped snapshots of each variant's price and shipping
+    class PriceHistoryManager {
+        constructor() {
+            this._history = {}; // quoteKey -> { updatedAt, variants: { variantId: [{ timestamp, price, shipping }] } }
+            this._saveTimeout = null;
+        }
+
+        async initialize() {
+            try {
+                const storedHistory = await GM.getValue('aliexpress_price_history', null);
+                this._history = storedHistory ? JSON.parse(storedHistory) : {};
+                log('Loaded price history for', Object.keys(this._history).length, 'products');
+            } catch (error) {
+                log('Error loading price history from storage:', error);
+                this._history = {};
             }
+        }
 
-            const exists = this._cache.has(key);
-            const currentSizeBefore = this._cache.size;
+        async saveToStorage() {
+            try {
+                await GM.setValue('aliexpress_price_history', JSON.stringify(this._history));
+            } catch (error) {
+                log('Error saving price history to storage:', error);
+            }
+        }
 
-            // Eviction logic
-            if (!exists && currentSizeBefore >= config.maxEntries) {
-                const oldestKey = this._cache.keys().next().value; // Use internal property
-                if (oldestKey) {
-                    log(`Cache limit (${config.maxEntries}) would be exceeded by adding ${key}. Evicting oldest: ${oldestKey}`);
-                    this._cache.delete(oldestKey); // Use internal property
-                } else {
-                     log('Cache limit reached, but failed to find oldest key to evict.');
+        // The history is one blob, so snapshots recorded while scrolling are written together
+        scheduleSave() {
+            if (this._saveTimeout) return;
+            this._saveTimeout = setTimeout(() => {
+                this._saveTimeout = null;
+                this.saveToStorage();
+            }, PRICE_HISTORY_CONFIG.saveDelay);
+        }
+
+        // Write a pending save now (page hide/unload)
+        async forceSave() {
+            if (!this._saveTimeout) return;
+            clearTimeout(this._saveTimeout);
+            this._saveTimeout = null;
+            await this.saveToStorage();
+        }
+
+        async recordSnapshot(quoteKey, variants) {
+            if (!variants || variants.length === 0) return;
+            const timestamp = Date.now();
+            const productHistory = this._history[quoteKey] || { updatedAt: 0, variants: {} };
+            let changed = false;
+
+            for (const variant of variants) {
+                const points = productHistory.variants[variant.id] || [];
+                const point = {
+                    timestamp,
+                    price: variant.price?.discountedValue || 0,
+                    shipping: variant.shipping?.cost || 0
+                };
+                const last = points[points.length - 1];
+                // Skip duplicate snapshots (e.g. when the cache is disabled and data is refetched often)
+                if (last && last.price === point.price && last.shipping === point.shipping &&
+                    timestamp - last.timestamp < PRICE_HISTORY_CONFIG.minSnapshotInterval) {
+                    continue;
                 }
+                points.push(point);
+                productHistory.variants[variant.id] = points.slice(-PRICE_HISTORY_CONFIG.maxPointsPerVariant);
+                changed = true;
             }
 
-            log(`CacheManager.set: Setting key=${key}. Existed=${exists}. Size before=${currentSizeBefore}`);
-            this._cache.set(key, { // Use internal property
-                data,
-                timestamp: Date.now(),
-                expiresAt: Date.now() + config.duration
-            });
-            const currentSizeAfter = this._cache.size;
-            log(`CacheManager.set: Set key=${key}. Size after=${currentSizeAfter}.`);
+            if (!changed) return;
+            productHistory.updatedAt = timestamp;
+            this._history[quoteKey] = productHistory;
+            this.evictOldest();
+            log(`[PriceHistoryManager] Recorded snapshot for ${quoteKey}`);
+            this.scheduleSave();
+        }
 
-            await this.saveToStorage(); // Save immediately after setting entry
+        // Drop the least recently updated products once over the limit
+        evictOldest() {
+            const keys = Object.keys(this._history);
+            if (keys.length <= PRICE_HISTORY_CONFIG.maxProducts) return;
+            keys.sort((a, b) => this._history[a].updatedAt - this._history[b].updatedAt)
+                .slice(0, keys.length - PRICE_HISTORY_CONFIG.maxProducts)
+                .forEach(key => delete this._history[key]);
         }
 
-        // Simplified Clear
-        async clear() {
-            log('Clearing cache map...');
-            this._cache.clear(); // Use internal property
-            await this.saveToStorage(); // Save immediately after clearing
+        getVariantHistory(quoteKey, variantId) {
+            return this._history[quoteKey]?.variants?.[variantId] || [];
         }
 
-        // Removed forceSave, scheduleSave, _saveToStorageInternal, _markDirty etc.
+        // All-time low/high of the real total (item + shipping) for a list of snapshots
+        getStats(points) {
+            if (points.length === 0) return null;
+            const totals = points.map(point => point.price + point.shipping);
+            return {
+                low: Math.min(...totals),
+                high: Math.max(...totals),
+                since: points[0].timestamp
+            };
+        }
     }
 
-    // Data Manager
-    class DataManager {
-        constructor(cacheManagerInstance) { // Accept CacheManager instance
-            this.cacheManager = cacheManagerInstance; // Store the instance
-            this.tokenInitialized = false;
-            // Removed fetchingInProgress
+    // Order History Manager - what we paid for each product, scraped from the order list page
+    class OrderHistoryManager {
+        constructor() {
+            this._orders = {}; // productId -> [{ orderId, skuName, unitPrice, quantity, currency, orderedAt }]
         }
 
-        // REMOVED initialize method
-        // REMOVED loadFromStorage method
-        // REMOVED _waitForFetchAndCheckCache method
+        async initialize() {
+            try {
+                const storedOrders = await GM.getValue('aliexpress_order_history', null);
+                this._orders = storedOrders ? JSON.parse(storedOrders) : {};
+                log('Loaded order history for', Object.keys(this._orders).length, 'products');
+            } catch (error) {
+                log('Error loading order history from storage:', error);
+                this._orders = {};
+            }
+        }
 
-        // Token initialization remains
-        async initializeToken() {
-            if (this.tokenInitialized) {
-                return;
+        async saveToStorage() {
+            try {
+                await GM.setValue('aliexpress_order_history', JSON.stringify(this._orders));
+            } catch (error) {
+                log('Error saving order history to storage:', error);
             }
+        }
 
-            log('Initializing token...');
-            
-            // Check if token already exists
-            const token = utils.getCookie('_m_h5_tk');
-            if (token) {
-                log('Token already exists:', token.split('_')[0]);
-                this.tokenInitialized = true;
-                return;
+        // Add order lines we haven't seen yet; returns how many were new
+        async recordOrders(orderLines) {
+            let added = 0;
+            for (const line of orderLines) {
+                const orders = this._orders[line.productId] || [];
+                if (orders.some(order => order.orderId === line.orderId && order.skuName === line.skuName)) continue;
+                orders.push({
+                    orderId: line.orderId,
+                    skuName: line.skuName,
+                    unitPrice: line.unitPrice,
+                    quantity: line.quantity,
+                    currency: shopperCurrency,
+                    orderedAt: line.orderedAt
+                });
+                this._orders[line.productId] = orders.sort((a, b) => (b.orderedAt ?? 0) - (a.orderedAt ?? 0));
+                added++;
+            }
+            if (added > 0) {
+                log(`[OrderHistoryManager] Recorded ${added} new order lines`);
+                await this.saveToStorage();
             }
+            return added;
+        }
 
-            // Make a request to the AliExpress homepage to get the token
+        // Orders of a product, most recent first
+        getOrders(productId) {
+            return this._orders[productId] || [];
+        }
+    }
+
+    // Watchlist Manager - watched products with a target real total (item + shipping)
+    class WatchlistManager {
+        constructor() {
+            this._watchlist = {}; // productId -> { productId, title, storeId, isChoice, url, targetTotal, currency, addedAt, lastTotal, lastItemPrice, lastSeenAt, notifiedTotal, unseen }
+        }
+
+        async initialize() {
             try {
-                log('Making request to initialize token...');
-                return new Promise((resolve, reject) => {
-                    GM.xmlHttpRequest({
-                        method: 'GET',
-                        url: 'https://www.aliexpress.us/',
-                        headers: {
-                            'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-                            'accept-language': 'en-US,en;q=0.9',
-                            'cache-control': 'no-cache',
-                            'pragma': 'no-cache',
-                            'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
+                const storedWatchlist = await GM.getValue('aliexpress_watchlist', null);
+                this._watchlist = storedWatchlist ? JSON.parse(storedWatchlist) : {};
+                log('Loaded watchlist with', Object.keys(this._watchlist).length, 'products');
+            } catch (error) {
+                log('Error loading watchlist from storage:', error);
+                this._watchlist = {};
+            }
+        }
+
+        async saveToStorage() {
+            try {
+                await GM.setValue('aliexpress_watchlist', JSON.stringify(this._watchlist));
+            } catch (error) {
+                log('Error saving watchlist to storage:', error);
+            }
+        }
+
+        isWatched(productId) {
+            return Boolean(this._watchlist[productId]);
+        }
+
+        getEntries() {
+            return Object.values(this._watchlist).sort((a, b) => b.addedAt - a.addedAt);
+        }
+
+        // Number of price drops the user hasn't looked at yet
+        getUnseenCount() {
+            return Object.values(this._watchlist).filter(entry => entry.unseen).length;
+        }
+
+        // Cheapest total over the main-product variants, falling back to all variants
+        getRealTotal(variants) {
+            if (!variants || variants.length === 0) return null;
+            const mainVariants = variants.filter(v => v.isMainProduct);
+            const candidates = mainVariants.length > 0 ? mainVariants : variants;
+            return Math.min(...candidates.map(v => (v.price?.discountedValue || 0) + (v.shipping?.cost || 0)));
+        }
+
+        // Cheapest item price without shipping over the same variants (what the cart's free-shipping threshold counts)
+        getItemPrice(variants) {
+            if (!variants || variants.length === 0) return null;
+            const mainVariants = variants.filter(v => v.isMainProduct);
+            const candidates = mainVariants.length > 0 ? mainVariants : variants;
+            return Math.min(...candidates.map(v => v.price?.discountedValue || 0));
+        }
+
+        async add(productId, { title, targetTotal, currentTotal, currentItemPrice = null, storeId = null, isChoice = false }) {
+            this._watchlist[productId] = {
+                productId,
+                title: title || '',
+                storeId,
+                isChoice,
+                url: `${window.location.origin}/item/${productId}.html`,
+                targetTotal,
+                currency: shopperCurrency,
+                addedAt: Date.now(),
+                lastTotal: currentTotal ?? null,
+                lastItemPrice: currentItemPrice,
+                lastSeenAt: currentTotal !== null ? Date.now() : null,
+                notifiedTotal: null,
+                unseen: false
+            };
+            log(`[WatchlistManager] Watching ${productId} with target ${targetTotal}`, { productId });
+            await this.saveToStorage();
+        }
+
+        async remove(productId) {
+            delete this._watchlist[productId];
+            log(`[WatchlistManager] Stopped watching ${productId}`, { productId });
+            await this.saveToStorage();
+        }
+
+        async markAllSeen() {
+            const unseenEntries = Object.values(this._watchlist).filter(entry => entry.unseen);
+            if (unseenEntries.length === 0) return;
+            unseenEntries.forEach(entry => { entry.unseen = false; });
+            await this.saveToStorage();
+        }
+
+        // Compare fresh product data against the target; returns the entry if a new price drop was found
+        async checkProduct(productId, productData) {
+            const entry = this._watchlist[productId];
+            if (!entry) return null;
+            if (entry.currency !== shopperCurrency) {
+                log(`[WatchlistManager] Skipping check for ${productId}: watched in ${entry.currency}, seeing ${shopperCurrency}`, { productId });
+                return null;
+            }
+
+            const total = this.getRealTotal(productData.variants);
+            if (total === null) return null;
+
+            entry.lastTotal = total;
+            entry.lastItemPrice = this.getItemPrice(productData.variants);
+            entry.lastSeenAt = Date.now();
+            entry.title = entry.title || productData.title || '';
+            entry.storeId = productData.storeId || entry.storeId || null;
+            entry.isChoice = productData.variants.some(variant => variant.shipping?.hasChoiceFreeShipping);
+
+            // Only notify once per new low, not every time the same price is seen
+            const isNewDrop = total <= entry.targetTotal &&
+                (entry.notifiedTotal === null || total < entry.notifiedTotal);
+            if (isNewDrop) {
+                entry.notifiedTotal = total;
+                entry.unseen = true;
+                log(`[WatchlistManager] Price drop for ${productId}: ${total} <= ${entry.targetTotal}`, { productId });
+            }
+            await this.saveToStorage();
+            return isNewDrop ? entry : null;
+        }
+    }
+
+    // Variant Pin Manager - the variant the user picked as "the one I care about" for a product
+    class VariantPinManager {
+        constructor() {
+            this._pins = {}; // productId -> { skuId, name, pinnedAt }
+        }
+
+        async initialize() {
+            try {
+                const storedPins = await GM.getValue('aliexpress_pinned_variants', null);
+                this._pins = storedPins ? JSON.parse(storedPins) : {};
+                log('Loaded pinned variants for', Object.keys(this._pins).length, 'products');
+            } catch (error) {
+                log('Error loading pinned variants from storage:', error);
+                this._pins = {};
+            }
+        }
+
+        async saveToStorage() {
+            try {
+                await GM.setValue('aliexpress_pinned_variants', JSON.stringify(this._pins));
+            } catch (error) {
+                log('Error saving pinned variants to storage:', error);
+            }
+        }
+
+        // The pinned variant among variants, or null if nothing is pinned or the SKU isn't there
+        findPinnedVariant(productId, variants) {
+            const pin = this._pins[productId];
+            if (!pin) return null;
+            return (variants || []).find(variant => String(variant.id) === pin.skuId) || null;
+        }
+
+        async pin(productId, variant) {
+            this._pins[productId] = { skuId: String(variant.id), name: variant.name, pinnedAt: Date.now() };
+            log(`[VariantPinManager] Pinned ${variant.id} (${variant.name}) for ${productId}`, { productId });
+            await this.saveToStorage();
+        }
+
+        async unpin(productId) {
+            delete this._pins[productId];
+            log(`[VariantPinManager] Unpinned ${productId}`, { productId });
+            await this.saveToStorage();
+        }
+
+        // Keep the pin while fresh data still has its SKU; drop it once the SKU is gone
+        async checkProduct(productId, productData) {
+            const pin = this._pins[productId];
+            if (!pin || this.findPinnedVariant(productId, productData.variants)) return;
+            log(`[VariantPinManager] SKU ${pin.skuId} (${pin.name}) no longer exists, dropping the pin`, { productId });
+            await this.unpin(productId);
+        }
+    }
+
+    // Data Manager
+    class DataManager {
+        constructor(cacheManagerInstance, priceHistoryManagerInstance, watchlistManagerInstance, orderHistoryManagerInstance, variantPinManagerInstance) { // Accept CacheManager instance
+            this.cacheManager = cacheManagerInstance; // Store the instance
+            this.priceHistoryManager = priceHistoryManagerInstance;
+            this.watchlistManager = watchlistManagerInstance;
+            this.orderHistoryManager = orderHistoryManagerInstance;
+            this.variantPinManager = variantPinManagerInstance;
+            this.tokenInitialized = false;
+            // Removed fetchingInProgress
+        }
+
+        // REMOVED initialize method
+        // REMOVED loadFromStorage method
+        // REMOVED _waitForFetchAndCheckCache method
+
+        // Token initialization remains
+        async initializeToken() {
+            if (this.tokenInitialized) {
+                return;
+            }
+
+            log('Initializing token...');
+            
+            // Check if token already exists
+            const token = utils.getCookie('_m_h5_tk');
+            if (token) {
+                log('Token already exists:', token.split('_')[0]);
+                this.tokenInitialized = true;
+                return;
+            }
+
+            // Make a request to the AliExpress homepage to get the token
+            try {
+                log('Making request to initialize token...');
+                return new Promise((resolve, reject) => {
+                    GM.xmlHttpRequest({
+                        method: 'GET',
+                        url: 'https://www.aliexpress.us/',
+                        headers: {
+                            'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+                            'accept-language': 'en-US,en;q=0.9',
+                            'cache-control': 'no-cache',
+                            'pragma': 'no-cache',
+                            'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
                             'sec-ch-ua-mobile': '?0',
                             'sec-ch-ua-platform': '"macOS"',
                             'sec-fetch-dest': 'document',
@@ -1185,15 +3217,17 @@
             }
         }
 
-        async fetchProductData(productId) {
-            log('[DataManager] Fetching product data for ID:', productId, { productId });
-            const cacheKey = `product_${productId}`;
+        async fetchProductData(productId, destination = shipToDestination) {
+            log('[DataManager] Fetching product data for ID:', productId, { productId, destination });
+            const quoteKey = utils.getQuoteKey(productId, destination);
+            const cacheKey = `product_${quoteKey}`;
+            const siteConfig = utils.getSiteConfig(destination);
             
             // Use the cache manager's get method
-            const cachedData = await this.cacheManager.get(cacheKey);
+            const cachedData = await this.cacheManager.get('variants', cacheKey);
             if (cachedData) {
                 log(`[DataManager] Found cached data for product: ${productId}. Returning it.`, { productId });
-                return cachedData;
+                return { ...this.applyPreferences(cachedData), fromCache: true };
             } else {
                 log(`[DataManager] No cached data found for product: ${productId}. Proceeding to fetch.`, { productId });
             }
@@ -1202,6 +3236,7 @@
             
             let productData = null; // Basic data from card
             let fetchedData = null; // To store the final data to be cached
+            let dataSource = null; // 'api', 'page' or 'card'
 
             // Outer try...finally removed as lock is gone
             try { // Renamed from inner try
@@ -1258,28 +3293,29 @@
                          const apiVersion = '1.0';
                          const requestData = {
                              productId,
-                             _lang: 'en_US',
-                             _currency: 'USD',
-                             country: 'US',
-                             province: '922867650000000000',
-                             city: '922867656497000000',
+                             _lang: utils.getApiLocale(),
+                             _currency: shopperCurrency,
+                             country: destination.country,
+                             province: destination.province,
+                             city: destination.city,
+                             zipCode: destination.postalCode,
                              channel: '',
                              pdp_ext_f: '{"order":"10","eval":"1"}',
                              sourceType: '',
                              clientType: 'pc',
                              ext: JSON.stringify({
-                                 site: 'usa',
+                                 site: siteConfig.site,
                                  crawler: false,
                                  'x-m-biz-bx-region': '',
                                  signedIn: true,
-                                 host: 'www.aliexpress.us'
+                                 host: siteConfig.host
                              })
                          };
                          const dataStr = JSON.stringify(requestData);
                          const sign = utils.generateSign(token, timestamp, appKey, dataStr);
                          log('Generated sign for API call:', sign, { productId });
 
-                         const baseUrl = 'https://acs.aliexpress.us/h5/mtop.aliexpress.pdp.pc.query/1.0/';
+                         const baseUrl = `https://${siteConfig.acsHost}/h5/mtop.aliexpress.pdp.pc.query/1.0/`;
                          const params = new URLSearchParams({
                              jsv: '2.5.1',
                              appKey,
@@ -1306,7 +3342,7 @@
                                      'accept-language': 'en-US,en;q=0.9',
                                      'cache-control': 'no-cache',
                                      'pragma': 'no-cache',
-                                     'referer': 'https://www.aliexpress.us/',
+                                     'referer': `https://${siteConfig.host}/`,
                                      'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
                                      'sec-ch-ua-mobile': '?0',
                                      'sec-ch-ua-platform': '"macOS"',
@@ -1354,6 +3390,9 @@
                      log(`Main API call successful for ${productId}`, { productId });
                      const fullProductData = this.parseProductData(apiResponseData);
 
+                     // SHIPPING only quotes one SKU; quote the other ship-from warehouses separately
+                     await this.addPerOriginShipping(fullProductData, apiResponseData.data?.result, destination);
+
                      // Merge basic data if needed (e.g., if API data is missing title)
                      if (productData) {
                          fullProductData.variants = fullProductData.variants.length > 0
@@ -1364,6 +3403,7 @@
 
                      // Don't return yet, store data and cache at the end
                      fetchedData = fullProductData;
+                     dataSource = 'api';
                      log(`[DataManager] Successfully fetched API data for ${productId}`, { productId });
 
                  } catch (apiError) {
@@ -1383,7 +3423,7 @@
                          log(`Trying fallback: fetching product page data for productId ${productId}`);
                          // Wrap the fallback fetch with its own rate limiter
                          const pageData = await pageFetchRateLimiter.executeWithBackoff(async () => {
-                             return await this.fetchDataFromProductPage(productId);
+                             return await this.fetchDataFromProductPage(productId, destination);
                          });
 
                          if (pageData) {
@@ -1394,6 +3434,7 @@
                              }
                              // Don't return yet, store data and cache at the end
                              fetchedData = pageData;
+                             dataSource = 'page';
                              log(`[DataManager] Successfully fetched fallback page data for ${productId}`, { productId });
                          } else {
                              log(`Fallback fetch from page returned no data for ${productId}`, { productId });
@@ -1409,6 +3450,7 @@
                          log(`[DataManager] Fallback/API failed, using basic product data for ${productId}`, { productId });
                          // Store basic data to be cached
                          fetchedData = productData;
+                         dataSource = 'card';
                      }
 
                      // If absolutely nothing works, re-throw the original error that caused the fallback
@@ -1426,6 +3468,7 @@
                   if (productData && !fetchedData) {
                       log(`[DataManager] Using basic data for ${productId} due to fetch/parse error.`, { productId });
                       fetchedData = productData;
+                      dataSource = 'card';
                   } else if (!fetchedData) {
                       // Consider if rethrowing is best, or returning null/empty
                       log(`[DataManager] Error fetching ${productId} and no basic data available.`, { productId });
@@ -1436,19 +3479,149 @@
 
              // Cache the final fetched data (API, fallback, or basic)
              if (fetchedData) {
+                 fetchedData.source = dataSource;
                  // Use the cache manager's set method
-                 await this.cacheManager.set(cacheKey, fetchedData, CACHE_CONFIG.variants);
+                 await this.cacheManager.set('variants', cacheKey, fetchedData);
                   log(`[DataManager] Cached final data for ${productId}.`, { productId });
              } else {
                  log(`[DataManager] No data was fetched or determined for ${productId}, nothing to cache.`, { productId });
              }
+
+             // Apply the shipping preference and accessory rules before history/watchlist see the variants
+             fetchedData = this.applyPreferences(fetchedData);
+
+             // Record a history snapshot for fresh variant data (card data only shows the advertised price)
+             if (fetchedData && dataSource !== 'card' && this.priceHistoryManager) {
+                 await this.priceHistoryManager.recordSnapshot(quoteKey, fetchedData.variants);
+             }
+
+             // Check fresh data against the watchlist target
+             if (fetchedData && dataSource !== 'card' && this.watchlistManager?.isWatched(productId)) {
+                 const droppedEntry = await this.watchlistManager.checkProduct(productId, fetchedData);
+                 if (droppedEntry) {
+                     notifyPriceDrop(droppedEntry);
+                 }
+                 refreshWatchlistView();
+             }
+
+             // Fresh data decides whether a pinned SKU still exists
+             if (fetchedData && dataSource !== 'card' && this.variantPinManager) {
+                 await this.variantPinManager.checkProduct(productId, fetchedData);
+             }
              
              return fetchedData; // Return whatever data we ended up with
          }
 
+        // Replace the shared shipping with a freight quote per distinct ship-from country.
+        // Variants from other warehouses can cost very different amounts to ship.
+        async addPerOriginShipping(productData, result, destination) {
+            const productId = productData.productId;
+            const origins = [...new Set(productData.variants.map(variant => variant.shipFrom).filter(Boolean))];
+            if (origins.length < 2) return;
+
+            log(`[addPerOriginShipping] Quoting shipping from ${origins.join(', ')}`, { productId });
+            const sellerAdminSeq = result?.SHOP_CARD_PC?.sellerInfo?.adminSeq || result?.SELLER?.adminSeq || '';
+            const quotes = {};
+            for (const origin of origins) {
+                const originVariants = productData.variants.filter(variant => variant.shipFrom === origin);
+                const minPrice = Math.min(...originVariants.map(variant => variant.price.discountedValue || 0));
+                const quoteCacheKey = `freight_${utils.getQuoteKey(productId, destination)}_${origin}_${minPrice}`;
+                try {
+                    quotes[origin] = await this.cacheManager.get('shipping', quoteCacheKey);
+                    if (!quotes[origin]) {
+                        quotes[origin] = await apiRateLimiter.executeWithBackoff(() =>
+                            this.fetchFreightQuote(productId, { origin, minPrice, sellerAdminSeq }, destination)
+                        );
+                        if (quotes[origin].length > 0) {
+                            await this.cacheManager.set('shipping', quoteCacheKey, quotes[origin]);
+                        }
+                    }
+                } catch (error) {
+                    log(`[addPerOriginShipping] Freight quote from ${origin} failed, keeping shared shipping:`, error, { productId });
+                }
+            }
+
+            productData.variants = productData.variants.map(variant => {
+                const methods = quotes[variant.shipFrom];
+                if (!methods || methods.length === 0) return variant;
+                const cheapest = utils.selectShippingMethod(methods, DEFAULT_SHIPPING_PREFERENCE);
+                return {
+                    ...variant,
+                    shipping: {
+                        ...variant.shipping,
+                        cost: cheapest.cost,
+                        formattedPrice: cheapest.formattedPrice,
+                        hasChoiceFreeShipping: false,
+                        methods
+                    }
+                };
+            });
+        }
+
+        // Query the freight API for the shipping methods from one ship-from country
+        fetchFreightQuote(productId, { origin, minPrice, sellerAdminSeq }, destination) {
+            const siteConfig = utils.getSiteConfig(destination);
+            const params = new URLSearchParams({
+                productId,
+                count: 1,
+                minPrice,
+                maxPrice: minPrice,
+                country: destination.country,
+                provinceCode: destination.province,
+                cityCode: destination.city,
+                tradeCurrency: shopperCurrency,
+                sellerAdminSeq,
+                userScene: 'PC_DETAIL_SHIPPING_PANEL',
+                displayMultipleFreight: false,
+                ext: JSON.stringify({
+                    p1: minPrice,
+                    p3: shopperCurrency,
+                    disCurrency: shopperCurrency,
+                    p5: '0',
+                    sendGoodsCountry: origin
+                })
+            });
+            const freightUrl = `https://${siteConfig.host}/aeglodetailweb/api/logistics/freight?${params.toString()}`;
+            log('Fetching freight quote:', freightUrl, { productId });
+
+            return new Promise((resolve, reject) => {
+                GM.xmlHttpRequest({
+                    method: 'GET',
+                    url: freightUrl,
+                    headers: {
+                        'accept': 'application/json, text/plain, */*',
+                        'referer': `https://${siteConfig.host}/item/${productId}.html`
+                    },
+                    withCredentials: true,
+                    onload: (response) => {
+                        // Errors, CAPTCHA and login pages mean "no quote", not something to parse
+                        if (response.status < 200 || response.status >= 300) {
+                            log(`Freight quote request failed with status ${response.status}`, { productId });
+                            resolve([]);
+                            return;
+                        }
+                        try {
+                            const data = JSON.parse(response.responseText);
+                            const freightResult = data.body?.freightResult || [];
+                            resolve(freightResult.map(option => this.parseFreightOption(option)));
+                        } catch (error) {
+                            // Not JSON (e.g. a CAPTCHA page served with 200): no quote
+                            log('Error parsing freight quote:', error, { productId });
+                            resolve([]);
+                        }
+                    },
+                    onerror: (error) => {
+                        log('Error fetching freight quote:', error, { productId });
+                        reject(error);
+                    }
+                });
+            });
+        }
+
         // Direct Taobao API call based on the shared resources
-        async fetchDirectAliExpressAPI(productId) {
+        async fetchDirectAliExpressAPI(productId, destination = shipToDestination) {
             log('Making direct Taobao API call for product ID:', productId);
+            const siteConfig = utils.getSiteConfig(destination);
             
             try {
                 // Based on the shared resources, we'll use a different approach
@@ -1461,18 +3634,21 @@
                 // Construct the request data object
                 const requestData = {
                     itemId: productId,
-                    language: 'en',
-                    currency: 'USD',
-                    region: 'US',
-                    locale: 'en_US',
-                    site: 'usa'
+                    language: utils.getApiLocale().split('_')[0],
+                    currency: shopperCurrency,
+                    region: destination.country,
+                    province: destination.province,
+                    city: destination.city,
+                    zipCode: destination.postalCode,
+                    locale: utils.getApiLocale(),
+                    site: siteConfig.site
                 };
                 
                 // Convert request data to JSON string
                 const dataStr = JSON.stringify(requestData);
                 
                 // Construct the API URL
-                const apiUrl = `https://www.aliexpress.us/aer-api/v1/product/detail?productId=${productId}`;
+                const apiUrl = `https://${siteConfig.host}/aer-api/v1/product/detail?productId=${productId}&region=${encodeURIComponent(destination.country)}`;
                 log('Fetching from direct API URL:', apiUrl);
                 
                 return new Promise((resolve, reject) => {
@@ -1484,7 +3660,7 @@
                             'accept-language': 'en-US,en;q=0.9',
                             'cache-control': 'no-cache',
                             'pragma': 'no-cache',
-                            'referer': `https://www.aliexpress.us/item/${productId}.html`,
+                            'referer': `https://${siteConfig.host}/item/${productId}.html`,
                             'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
                             'sec-ch-ua-mobile': '?0',
                             'sec-ch-ua-platform': '"macOS"',
@@ -1561,6 +3737,8 @@
                 const skuModule = productDetail.skuModule || {};
                 const skuPriceModule = productDetail.priceModule || {};
                 const shippingModule = productDetail.shippingModule || {};
+                const skuProperties = skuModule.productSKUPropertyList || skuModule.props || [];
+                const properties = this.extractSkuProperties(skuProperties);
                 
                 if (skuModule.skuPriceList || skuModule.skuList) {
                     const skuList = skuModule.skuPriceList || skuModule.skuList || [];
@@ -1585,7 +3763,10 @@
                             },
                             shipping: shippingInfo,
                             stock: sku.skuVal?.availQuantity || sku.inventory || 999,
-                            isMainProduct: this.isMainProductBySku(sku)
+                            isMainProduct: this.isMainProductBySku(sku),
+                            shipFrom: this.getSkuShipFrom(sku, skuProperties),
+                            valueIds: this.getSkuValueIds(sku),
+                            attributes: this.getSkuAttributes(sku, properties)
                         };
                     });
                 }
@@ -1593,7 +3774,7 @@
                 // If no variants found, create a default one
                 if (variants.length === 0) {
                     const priceInfo = skuPriceModule.formatedActivityPrice || skuPriceModule.formatedPrice || '';
-                    const priceValue = parseFloat(priceInfo.replace(/[^\d.]/g, '')) || 0;
+                    const priceValue = utils.parseAmount(priceInfo);
                     
                     // Extract shipping info
                     const shippingInfo = this.extractShippingInfoFromModule(shippingModule, productId);
@@ -1617,6 +3798,7 @@
                 return {
                     productId,
                     title,
+                    properties,
                     variants
                 };
             } catch (error) {
@@ -1671,7 +3853,7 @@
                 log('Raw shipping module data:', shippingModule, { productId });
                 const defaultShipping = {
                     cost: 0,
-                    formattedPrice: '$0.00',
+                    formattedPrice: utils.formatPrice(0),
                     freeThreshold: null
                 };
                 
@@ -1685,28 +3867,27 @@
                     return defaultShipping;
                 }
                 
-                // Get the cheapest shipping option
-                const cheapestOption = shippingOptions.reduce((min, option) => {
-                    const cost = option.freightAmount?.value || 0;
-                    return cost < min.cost ? { cost, option } : min;
-                }, { cost: Infinity, option: null });
+                // Keep every shipping option; the cheapest one is the default
+                const methods = shippingOptions.map(option => this.parseFreightOption(option));
+                const cheapestOption = utils.selectShippingMethod(methods, DEFAULT_SHIPPING_PREFERENCE);
                 
-                if (cheapestOption.option) {
+                if (cheapestOption) {
                     const cost = cheapestOption.cost;
                     
                     // Check for free shipping threshold
                     let freeThreshold = null;
                     if (shippingModule.freightCalculateInfo?.freeShippingText) {
-                        const thresholdMatch = shippingModule.freightCalculateInfo.freeShippingText.match(/\$(\d+(\.\d{2})?)/);
+                        const thresholdMatch = shippingModule.freightCalculateInfo.freeShippingText.match(CURRENCY_AMOUNT_PATTERN);
                         if (thresholdMatch) {
-                            freeThreshold = parseFloat(thresholdMatch[1]);
+                            freeThreshold = utils.parseAmount(thresholdMatch[0]);
                         }
                     }
                     
                     return {
                         cost,
                         formattedPrice: utils.formatPrice(cost),
-                        freeThreshold
+                        freeThreshold,
+                        methods
                     };
                 }
                 
@@ -1715,24 +3896,38 @@
                 log('Error extracting shipping info:', error);
                 return {
                     cost: 0,
-                    formattedPrice: '$0.00',
+                    formattedPrice: utils.formatPrice(0),
                     freeThreshold: null
                 };
             }
         }
 
+        // Shipping method from a freight option (shippingModule.freight or the freight API's freightResult)
+        parseFreightOption(option) {
+            const cost = option.freightAmount?.value || 0;
+            const days = utils.parseDeliveryDays(option.time || option.commitDay);
+            return {
+                carrier: option.company || option.serviceName || 'Standard Shipping',
+                cost,
+                formattedPrice: option.freightAmount?.formatedAmount || utils.formatPrice(cost),
+                minDays: days?.minDays ?? null,
+                maxDays: days?.maxDays ?? null,
+                tracking: this.parseTracking(option.tracking ?? option.isTracked)
+            };
+        }
+
         extractPriceFromElement(element) {
             if (!element) return { current: 0, original: 0 };
 
             try {
-                // Extract current price
-                const currentPriceText = element.textContent.match(/\$[\d,.]+/)?.[0] || '0';
-                const currentPrice = parseFloat(currentPriceText.replace(/[$,]/g, ''));
+                // Extract current price (any currency, e.g. "$12.34", "€1.234,56", "1 234 ₽")
+                const currentPriceText = element.textContent.match(CURRENCY_AMOUNT_PATTERN)?.[0] || '0';
+                const currentPrice = utils.parseAmount(currentPriceText);
 
                 // Extract original price if available (crossed out price)
                 const originalPriceElement = element.querySelector('.lq_j4');
-                const originalPriceText = originalPriceElement?.textContent.match(/\$[\d,.]+/)?.[0] || currentPriceText;
-                const originalPrice = parseFloat(originalPriceText.replace(/[$,]/g, ''));
+                const originalPriceText = originalPriceElement?.textContent.match(CURRENCY_AMOUNT_PATTERN)?.[0] || currentPriceText;
+                const originalPrice = utils.parseAmount(originalPriceText);
 
                 return {
                     current: currentPrice,
@@ -1749,12 +3944,12 @@
 
             try {
                 const text = element.textContent;
-                const freeThresholdMatch = text.match(/Free shipping over \$(\d+(\.\d{2})?)/i);
-                const shippingCostMatch = text.match(/Shipping: \$(\d+(\.\d{2})?)/i);
+                const freeThresholdMatch = text.match(/Free shipping over\s*(.*)/i);
+                const shippingCostMatch = text.match(/Shipping:\s*(.*)/i);
 
                 return {
-                    cost: shippingCostMatch ? parseFloat(shippingCostMatch[1]) : 0,
-                    freeThreshold: freeThresholdMatch ? parseFloat(freeThresholdMatch[1]) : null
+                    cost: shippingCostMatch ? utils.parseAmount(shippingCostMatch[1]) : 0,
+                    freeThreshold: freeThresholdMatch ? utils.parseAmount(freeThresholdMatch[1]) || null : null
                 };
             } catch (error) {
                 log('Error extracting shipping:', error);
@@ -1791,7 +3986,8 @@
             const discountedPrice = priceInfo.activityPrice || priceInfo.discountPrice || originalPrice;
             
             // Extract base shipping info
-            const baseShippingInfo = this.extractShippingInfo(shippingBizData, productId);
+            const thresholdInfo = this.extractFreeShippingThreshold(shippingData, productId);
+            const baseShippingInfo = this.extractShippingInfo(shippingBizData, productId, thresholdInfo, this.extractShippingMethods(shippingData, productId));
 
             return [{ // Return as an array containing the single variant object
                 id: 'default',
@@ -1831,6 +4027,8 @@
             const productInfo = {
                 productId: productId,
                 title: result.title || '',
+                storeId: this.extractStoreId(result),
+                properties: this.extractSkuProperties(result.SKU?.skuProperties)
             };
 
             // Extract variants
@@ -1845,8 +4043,9 @@
                 const deliveryLayout = shippingData.deliveryLayoutInfo?.[0] || {};
                 const shippingBizData = deliveryLayout.bizData || {};
                 const deliveryGuarantee = shippingData.DELIVERY_GUARANTEE_SERVICE || {};
-                // Note: Free shipping text info might be nested differently, adjust if needed
-                const freeShippingTextInfo = {}; // Placeholder
+                // Free shipping threshold amount and text from the layout components
+                const thresholdInfo = this.extractFreeShippingThreshold(shippingData, productId);
+                const freeShippingTextInfo = { mainText: thresholdInfo.text };
 
                 if (skuPaths.length > 0) {
                     variants = skuPaths.map(sku => {
@@ -1856,26 +4055,30 @@
                         // Base variant data without shipping
                         return {
                             id: skuId,
-                            name: this.getSkuName(sku),
+                            name: this.getSkuName(sku, result.SKU?.skuProperties),
                             price: {
                                 value: priceInfo.originalPrice?.value || 0,
-                                formattedPrice: priceInfo.originalPrice?.formatedAmount || '$0.00',
+                                formattedPrice: priceInfo.originalPrice?.formatedAmount || utils.formatPrice(0),
                                 discountedValue: this.extractPriceValue(priceInfo.salePriceString) || priceInfo.originalPrice?.value || 0,
-                                discountedFormattedPrice: priceInfo.salePriceString || priceInfo.originalPrice?.formatedAmount || '$0.00',
+                                discountedFormattedPrice: priceInfo.salePriceString || priceInfo.originalPrice?.formatedAmount || utils.formatPrice(0),
                                 discount: priceInfo.discount || ''
                             },
                             stock: sku.skuStock || sku.availQuantity || 999,
-                            isMainProduct: this.isMainProductBySku(sku)
+                            isMainProduct: this.isMainProductBySku(sku),
+                            shipFrom: this.getSkuShipFrom(sku, result.SKU?.skuProperties),
+                            valueIds: this.getSkuValueIds(sku),
+                            attributes: this.getSkuAttributes(sku, productInfo.properties)
                         };
                     });
                 } else {
                     // Single variant case
-                    // Pass productId to createSingleVariant
-                    variants = [this.createSingleVariant(result, productId)];
+                    // Pass productId to createSingleVariant (it already returns an array)
+                    variants = this.createSingleVariant(result, productId);
                 }
 
                 // Extract base shipping info ONCE
-                const baseShippingInfo = this.extractShippingInfo(shippingBizData, productId);
+                const shippingMethods = this.extractShippingMethods(shippingData, productId);
+                const baseShippingInfo = this.extractShippingInfo(shippingBizData, productId, thresholdInfo, shippingMethods);
 
                 // Add shipping info (cost, guarantee, etc.) to all variants
                 variants = this.addShippingInfo(variants, baseShippingInfo, deliveryGuarantee, freeShippingTextInfo, productId);
@@ -1891,11 +4094,92 @@
             };
         }
 
-        getSkuName(sku) {
-            // Extract name from skuAttr (format: "14:350685#1m")
-            const skuAttr = sku.skuAttr || '';
-            const parts = skuAttr.split('#');
-            return parts[1] || 'Default';
+        // Store number, used to group products by seller (e.g. for per-store free shipping thresholds)
+        extractStoreId(result) {
+            const storeNum = result.SELLER?.storeNum || result.SHOP_CARD_PC?.storeNum || result.storeModule?.storeNum;
+            return storeNum ? String(storeNum) : null;
+        }
+
+        // The "Ships From" SKU property (id 200007763 on most listings), if the product has one
+        findShipsFromProperty(skuProperties = []) {
+            return skuProperties.find(property =>
+                this.isShipsFromProperty(property.skuPropertyId, property.skuPropertyName)
+            ) || null;
+        }
+
+        isShipsFromProperty(propertyId, propertyName) {
+            return Number(propertyId) === 200007763 || /ships?\s*from/i.test(propertyName || '');
+        }
+
+        // Split a skuAttr ("14:350685#Red;200007763:201336100#China") into { propertyId, valueId, name } parts
+        parseSkuAttr(skuAttr) {
+            return (skuAttr || '').split(';').filter(Boolean).map(part => {
+                const [ids, name] = part.split('#');
+                const [propertyId, valueId] = ids.split(':').map(Number);
+                return { propertyId, valueId, name: name || '' };
+            });
+        }
+
+        // Property value IDs a SKU is made of, from skuAttr or the older comma-separated skuPropIds
+        getSkuValueIds(sku) {
+            const fromAttr = this.parseSkuAttr(sku.skuAttr).map(({ valueId }) => valueId).filter(Number.isFinite);
+            if (fromAttr.length > 0) return fromAttr;
+            return String(sku.skuPropIds || '').split(',').map(Number).filter(Boolean);
+        }
+
+        // SKU properties (Color, Size, Ships From...) in page order, with their value IDs and names.
+        // Reads both the skuPropertyId/skuPropertyValues format and the older skuModule.props id/values one.
+        extractSkuProperties(skuProperties = []) {
+            return (skuProperties || []).map(property => ({
+                id: Number(property.skuPropertyId ?? property.id),
+                name: property.skuPropertyName || property.name || '',
+                values: (property.skuPropertyValues || property.values || []).map(value => ({
+                    id: Number(value.propertyValueId ?? value.id),
+                    name: value.propertyValueDisplayName || value.propertyValueName || value.name || ''
+                }))
+            }));
+        }
+
+        // Structured attributes of a SKU ({ propertyId, valueId, property: "Plug Type", value: "EU" }),
+        // from its skuAttr or propPath ("14:350685;5:100014064") looked up in the property definitions
+        getSkuAttributes(sku, properties = []) {
+            return this.parseSkuAttr(sku.skuAttr || sku.propPath)
+                .filter(({ propertyId, valueId }) => Number.isFinite(propertyId) && Number.isFinite(valueId))
+                .map(({ propertyId, valueId, name }) => {
+                    const property = properties.find(p => p.id === propertyId);
+                    const value = property?.values.find(v => v.id === valueId);
+                    return {
+                        propertyId,
+                        valueId,
+                        property: property?.name || '',
+                        value: value?.name || name || String(valueId),
+                        isShipsFrom: this.isShipsFromProperty(propertyId, property?.name)
+                    };
+                });
+        }
+
+        // Ship-from country of a SKU ("CN", "US", "ES"), read from its "Ships From" property value
+        getSkuShipFrom(sku, skuProperties = []) {
+            const shipsFromProperty = this.findShipsFromProperty(skuProperties);
+            if (!shipsFromProperty) return null;
+
+            const part = this.parseSkuAttr(sku.skuAttr || sku.propPath || sku.path)
+                .find(({ propertyId }) => propertyId === shipsFromProperty.skuPropertyId);
+            if (!part) return null;
+            const value = (shipsFromProperty.skuPropertyValues || []).find(v => v.propertyValueId === part.valueId);
+            if (value?.skuPropertySendGoodsCountryCode) return value.skuPropertySendGoodsCountryCode;
+            // Only a name ("Spain"): compare by code like everywhere else, or not at all
+            return utils.getCountryCode(value?.propertyValueName || part.name);
+        }
+
+        // Variant name from the skuAttr names (e.g. "Red 1m"); the ship-from origin is kept separately in shipFrom
+        getSkuName(sku, skuProperties = []) {
+            const shipsFromPropertyId = this.findShipsFromProperty(skuProperties)?.skuPropertyId;
+            const names = this.parseSkuAttr(sku.skuAttr)
+                .filter(({ propertyId }) => propertyId !== shipsFromPropertyId)
+                .map(({ name }) => name)
+                .filter(Boolean);
+            return names.join(' ') || 'Default';
         }
 
         isMainProductBySku(sku) {
@@ -1904,9 +4188,7 @@
         }
 
         extractPriceValue(priceString) {
-            if (!priceString) return 0;
-            const match = priceString.match(/[\d,.]+/);
-            return match ? parseFloat(match[0].replace(/,/g, '')) : 0;
+            return utils.parseAmount(priceString);
         }
 
         createDefaultVariant(result, productId) {
@@ -1924,7 +4206,7 @@
                 },
                 shipping: {
                     cost: 0,
-                    formattedPrice: '$0.00',
+                    formattedPrice: utils.formatPrice(0),
                     freeThreshold: null
                 },
                 stock: 999,
@@ -1953,7 +4235,7 @@
             return 0;
         }
 
-        extractShippingInfo(shippingBizData, productId) {
+        extractShippingInfo(shippingBizData, productId, thresholdInfo = null, methods = []) {
             log('Raw shippingBizData object:', shippingBizData, { productId }); // Log the full object
             const hasChoiceFreeShipping = shippingBizData?.choiceFreeShipping === 'yes';
             log(`[extractShippingInfo] choiceFreeShipping status for ${productId}:`, hasChoiceFreeShipping);
@@ -1961,52 +4243,157 @@
                 cost: shippingBizData?.displayAmount || 0,
                 // Use formattedAmount if available, otherwise format the cost
                 formattedPrice: shippingBizData?.formattedAmount || utils.formatPrice(shippingBizData?.displayAmount || 0),
-                // Free threshold logic might need revisiting based on bizData structure - removed for now
-                freeThreshold: null, // Keep null for now, threshold *value* extraction needs review
-                hasChoiceFreeShipping: hasChoiceFreeShipping // Add the boolean status
+                freeThreshold: thresholdInfo?.threshold ?? null,
+                hasChoiceFreeShipping: hasChoiceFreeShipping, // Add the boolean status
+                methods // Every shipping method offered; applyShippingPreference picks the one in the total
             };
         }
 
-        extractFreeShippingThreshold(shipping) {
-            // This function needs to be re-evaluated based on the new API structure.
-            // It's currently not used because extractShippingInfo sets freeThreshold to null.
-            log('extractFreeShippingThreshold called, but logic needs review based on SHIPPING.deliveryLayoutInfo structure', { shipping });
+        // One shipping method per SHIPPING.deliveryLayoutInfo entry (carrier, cost, delivery days, tracking)
+        extractShippingMethods(shippingData, productId) {
+            const layouts = shippingData?.deliveryLayoutInfo || [];
+            const methods = layouts
+                .map(layout => layout?.bizData)
+                .filter(bizData => bizData && (bizData.displayAmount !== undefined || bizData.shippingFee || bizData.deliveryProviderName))
+                .map(bizData => {
+                    const cost = bizData.shippingFee === 'free' ? 0 : (bizData.displayAmount || 0);
+                    const days = bizData.deliveryDayMax
+                        ? { minDays: bizData.deliveryDayMin || bizData.deliveryDayMax, maxDays: bizData.deliveryDayMax }
+                        : utils.parseDeliveryDays(bizData.guaranteedDeliveryTime || bizData.deliveryTime);
+                    return {
+                        carrier: bizData.deliveryProviderName || bizData.company || bizData.deliveryOptionCode || 'Standard Shipping',
+                        cost,
+                        formattedPrice: cost > 0 ? (bizData.formattedAmount || utils.formatPrice(cost)) : utils.formatPrice(0),
+                        minDays: days?.minDays ?? null,
+                        maxDays: days?.maxDays ?? null,
+                        tracking: this.parseTracking(bizData.tracking ?? bizData.trackingAvailable),
+                        hasChoiceFreeShipping: bizData.choiceFreeShipping === 'yes'
+                    };
+                });
+            log(`[extractShippingMethods] Found ${methods.length} shipping methods`, { productId, methods });
+            return methods;
+        }
+
+        // Tracking flags come as booleans or 'yes'/'no'; null when the data doesn't say
+        parseTracking(value) {
+            if (value === true || value === 'yes' || value === 'true') return true;
+            if (value === false || value === 'no' || value === 'false') return false;
             return null;
         }
 
+        // Price every variant with the shipping method picked by the shipping preference.
+        // Applied on every read, so cached data follows preference changes.
+        applyShippingPreference(productData) {
+            if (!productData?.variants) return productData;
+            return {
+                ...productData,
+                variants: productData.variants.map(variant => {
+                    const method = utils.selectShippingMethod(variant.shipping?.methods);
+                    if (!method) return variant;
+                    return {
+                        ...variant,
+                        shipping: {
+                            ...variant.shipping,
+                            cost: method.cost,
+                            formattedPrice: method.formattedPrice,
+                            hasChoiceFreeShipping: method.hasChoiceFreeShipping ?? variant.shipping.hasChoiceFreeShipping,
+                            selectedCarrier: method.carrier
+                        }
+                    };
+                })
+            };
+        }
+
+        // Find the free shipping threshold in SHIPPING.deliveryLayoutInfo and its related components.
+        // Returns { threshold, text }, with nulls when the product has no threshold.
+        extractFreeShippingThreshold(shippingData, productId) {
+            const layouts = shippingData?.deliveryLayoutInfo || [];
+
+            // Numeric threshold fields on the layouts' bizData
+            const thresholdFields = ['freeShippingThreshold', 'freeShippingAmount', 'thresholdAmount', 'displayThreshold'];
+            for (const layout of layouts) {
+                const bizData = layout?.bizData || {};
+                for (const field of thresholdFields) {
+                    const threshold = utils.parseAmount(bizData[field]?.value ?? bizData[field]);
+                    if (threshold > 0) {
+                        log(`[extractFreeShippingThreshold] Found ${field}=${threshold}`, { productId });
+                        return { threshold, text: bizData.freeShippingText || null };
+                    }
+                }
+            }
+
+            // Otherwise look for "Free shipping over $10" text in any of the module's components
+            for (const text of this.collectTexts(shippingData)) {
+                const match = text.match(FREE_SHIPPING_TEXT_PATTERN);
+                if (match) {
+                    log(`[extractFreeShippingThreshold] Found threshold text: ${text}`, { productId });
+                    return { threshold: utils.parseAmount(match[1]), text };
+                }
+            }
+
+            return { threshold: null, text: null };
+        }
+
+        // Collect every string in a (nested) module object, with HTML tags stripped
+        collectTexts(value, depth = 0) {
+            if (depth > 8 || value === null || value === undefined) return [];
+            if (typeof value === 'string') {
+                return [value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()];
+            }
+            if (typeof value !== 'object') return [];
+            return Object.values(value).flatMap(child => this.collectTexts(child, depth + 1));
+        }
+
         addShippingInfo(variants, baseShippingInfo, deliveryGuarantee, freeShippingTextInfo, productId) {
             // baseShippingInfo is the object returned by extractShippingInfo
             // deliveryGuarantee is the result.DELIVERY_GUARANTEE_SERVICE object
-            // freeShippingTextInfo is the (potentially empty) free shipping text component
+            // freeShippingTextInfo holds the free shipping text found by extractFreeShippingThreshold
 
             return variants.map(variant => ({
                 ...variant,
                 shipping: {
-                    ...baseShippingInfo, // Contains cost, formattedPrice, freeThreshold (currently null)
+                    ...baseShippingInfo, // Contains cost, formattedPrice, freeThreshold
                     guaranteedDays: deliveryGuarantee?.subContents?.[3]?.content?.match(/\d+/)?.[0] || null,
                     freeShippingText: freeShippingTextInfo?.mainText || null
-                    // TODO: Re-evaluate freeThreshold extraction if needed
                 }
             }));
         }
 
+        // Accessory when the name matches an include keyword (defaults + user rules) and no exclude keyword.
+        // Keywords are checked against the normalized/singular forms of the name; regexes also against the name as written.
         isAccessory(name) {
-            const accessoryKeywords = [
-                'case', 'cover', 'protector', 'cable', 'adapter', 'charger',
-                'holder', 'stand', 'accessory', 'kit', 'pedal', 'spare',
-                'replacement', 'tool', 'bag', 'box'
-            ];
-            return accessoryKeywords.some(keyword => name.includes(keyword));
+            const forms = utils.getMatchingForms(name, accessoryMatchers.languages);
+            const matches = pattern => forms.some(form => pattern.test(form)) || pattern.test(name);
+            if (accessoryMatchers.exclude.some(matches)) return false;
+            return accessoryMatchers.include.some(matches);
+        }
+
+        // Re-classify variants with the current accessory rules. Applied on every read, so cached data follows rule changes.
+        applyAccessoryRules(productData) {
+            if (!productData?.variants) return productData;
+            return {
+                ...productData,
+                variants: productData.variants.map(variant => variant.name && variant.name !== 'Default'
+                    ? { ...variant, isMainProduct: !this.isAccessory(variant.name.toLowerCase()) }
+                    : variant
+                )
+            };
+        }
+
+        // Everything the user's settings change about already-parsed product data
+        applyPreferences(productData) {
+            return this.applyAccessoryRules(this.applyShippingPreference(productData));
         }
 
         // Fetch product data directly from the product page HTML
-        async fetchDataFromProductPage(productId) {
+        async fetchDataFromProductPage(productId, destination = shipToDestination) {
             log('Fetching product page data for ID:', productId);
             // Add log to indicate fallback
             log(`Falling back to fetching data directly from product page HTML for productId: ${productId}`, { productId });
 
             try {
-                const productUrl = `https://www.aliexpress.us/item/${productId}.html`;
+                const siteConfig = utils.getSiteConfig(destination);
+                const productUrl = `https://${siteConfig.host}/item/${productId}.html?shipToCountry=${encodeURIComponent(destination.country)}`;
                 log('Fetching product page:', productUrl);
                 
                 return new Promise((resolve, reject) => {
@@ -2180,7 +4567,7 @@
                             },
                             shipping: {
                                 cost: 0, // We don't have shipping info from HTML
-                                formattedPrice: '$0.00',
+                                formattedPrice: utils.formatPrice(0),
                                 freeThreshold: null
                             },
                             stock: sku.skuVal?.availQuantity || sku.inventory || 999,
@@ -2192,7 +4579,7 @@
                 // If no variants found, create a default one
                 if (variants.length === 0) {
                     const priceInfo = skuPriceModule.formatedActivityPrice || skuPriceModule.formatedPrice || '';
-                    const priceValue = parseFloat(priceInfo.replace(/[^\d.]/g, '')) || 0;
+                    const priceValue = utils.parseAmount(priceInfo);
                     
                     variants = [{
                         id: 'default',
@@ -2206,7 +4593,7 @@
                         },
                         shipping: {
                             cost: 0,
-                            formattedPrice: '$0.00',
+                            formattedPrice: utils.formatPrice(0),
                             freeThreshold: null
                         },
                         stock: 999,
@@ -2228,16 +4615,62 @@
 
     // Price Context Calculator
     class PriceContextCalculator {
-        calculatePageContext(productCards) {
-            const prices = [];
-            for (const card of productCards) {
-                const priceElement = card.querySelector(effectivePriceSelectors.join(',')); // USE EFFECTIVE SELECTORS
-                if (priceElement) {
-                    const price = this.extractPriceValue(priceElement.textContent);
-                    if (price) prices.push(price);
-                }
+        constructor() {
+            this.productTotals = new Map(); // productId -> { total, unitPrices } representative real prices
+            this.context = null;
+        }
+
+        // Add a product's real totals to the page-wide context and return the updated context
+        addProduct(productId, variants) {
+            const total = this.getRepresentativeTotal(variants);
+            if (total > 0) {
+                this.productTotals.set(productId, { total, unitPrices: utils.getUnitPrices(this.getMainVariants(variants)) });
+                this.context = this.calculatePageContext();
+            }
+            return this.context;
+        }
+
+        // Context over totals, or over unit prices when most products share a unit
+        calculatePageContext() {
+            const products = Array.from(this.productTotals.values());
+            const unit = useUnitPriceContext
+                ? utils.findDominantUnit(products.map(product => product.unitPrices))
+                : null;
+            const prices = unit
+                ? products.filter(product => product.unitPrices[unit]).map(product => product.unitPrices[unit])
+                : products.map(product => product.total);
+            const context = this.calculateContext(prices);
+            if (context) {
+                context.unit = unit;
+                // Variants without a quantity are still scored by total, against the total-price context
+                context.totalContext = unit ? this.calculateContext(products.map(product => product.total)) : null;
             }
+            return context;
+        }
+
+        getMainVariants(variants) {
+            const preferredVariants = utils.getPreferredVariants(variants);
+            const mainVariants = preferredVariants.filter(v => v.isMainProduct);
+            return mainVariants.length > 0 ? mainVariants : preferredVariants;
+        }
 
+        getContext() {
+            return this.context;
+        }
+
+        // Recompute the context from the products already added (e.g. after the unit price setting changed)
+        recalculate() {
+            this.context = this.calculatePageContext();
+            return this.context;
+        }
+
+        // Cheapest real total (item + shipping) among the main-product variants, falling back to all variants
+        getRepresentativeTotal(variants) {
+            if (!variants || variants.length === 0) return 0;
+            return Math.min(...this.getMainVariants(variants).map(v => (v.price?.discountedValue || 0) + (v.shipping?.cost || 0)));
+        }
+
+        calculateContext(prices) {
             if (prices.length === 0) return null;
 
             prices.sort((a, b) => a - b);
@@ -2298,6 +4731,7 @@
         }
 
         findBestMatchingVariant(variants, context) {
+            variants = utils.getPreferredVariants(variants);
             if (!context || variants.length === 0) return variants[0];
 
             return variants
@@ -2309,8 +4743,15 @@
         }
 
         calculateVariantScore(variant, context) {
-            const { median, lowerBound, upperBound } = context;
-            const price = variant.price.discountedValue;
+            // The context is built from real totals (or unit prices), so score the variant the same way;
+            // a variant without that unit is scored by its total against the total-price median instead
+            const total = variant.price.discountedValue + (variant.shipping?.cost || 0);
+            const unitPrice = context.unit ? utils.getUnitPrice(variant) : null;
+            const hasContextUnit = unitPrice && unitPrice.unit === context.unit;
+            const price = hasContextUnit ? unitPrice.price : total;
+            const { median, lowerBound, upperBound } = context.unit && !hasContextUnit && context.totalContext
+                ? context.totalContext
+                : context;
 
             const distanceScore = 1 / (Math.abs(price - median) + 1);
             const inRange = price >= lowerBound && price <= upperBound ? 1.5 : 0.5;
@@ -2319,57 +4760,520 @@
             return distanceScore * inRange * productTypeMultiplier;
         }
 
+        // Score (0-100) how far the advertised card price is from what the main product actually costs
+        calculateBaitScore(advertisedPrice, variants, bestVariant) {
+            if (!advertisedPrice || !variants || variants.length === 0) return null;
+
+            const itemPrice = variant => variant.price?.discountedValue || 0;
+            const mainPrices = variants.filter(v => v.isMainProduct).map(itemPrice).filter(price => price > 0);
+            const mainMin = mainPrices.length > 0 ? Math.min(...mainPrices) : null;
+            const bestPrice = bestVariant ? itemPrice(bestVariant) : null;
+
+            // The variant the advertised price most likely belongs to
+            const advertisedVariant = variants.reduce((closest, variant) =>
+                Math.abs(itemPrice(variant) - advertisedPrice) < Math.abs(itemPrice(closest) - advertisedPrice)
+                    ? variant
+                    : closest
+            );
+
+            // Relative amount by which a reference price exceeds the advertised price
+            const gap = reference => reference > advertisedPrice ? (reference - advertisedPrice) / reference : 0;
+            const mainGap = mainMin ? gap(mainMin) : 0;
+            const bestGap = bestPrice ? gap(bestPrice) : 0;
+
+            let score = Math.round((0.6 * mainGap + 0.4 * bestGap) * 100);
+            let reason = null;
+            if (!advertisedVariant.isMainProduct && mainGap > 0) {
+                score = Math.min(100, score + 25);
+                reason = 'advertised price is an accessory';
+            } else if (mainGap > 0) {
+                reason = `main item costs ${Math.round(mainGap * 100)}% more than advertised`;
+            } else if (bestGap > 0) {
+                reason = `typical variant costs ${Math.round(bestGap * 100)}% more than advertised`;
+            }
+
+            return { score, reason, advertisedVariantId: advertisedVariant.id };
+        }
+
         extractPriceValue(text) {
-            const match = text.match(/[\d,.]+/);
-            return match ? parseFloat(match[0].replace(/,/g, '')) : 0;
+            return utils.parseAmount(text);
         }
     }
 
-    // DOM Enhancement Manager
-    class DOMEnhancer {
-        constructor(dataManager, priceContextCalculator) {
-            this.dataManager = dataManager;
-            this.priceContextCalculator = priceContextCalculator;
-            this.setupIntersectionObserver();
-            this.pendingEnhancements = new Set();
-            this.processedCards = new WeakSet(); // Track processed cards
+    // Page-wide distribution of the real totals (item + shipping) of every enhanced card's variants
+    class PagePriceDistribution {
+        constructor() {
+            this.entries = new Map(); // card element -> { productId, totals, bestTotal, unitPrices }
+            this.listeners = [];
         }
 
-        setupIntersectionObserver() {
-            this.observer = new IntersectionObserver(
-                (entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            const productCard = entry.target;
-                            const productId = utils.extractProductId(productCard);
-                            if (productId) {
-                                this.pendingEnhancements.add(productId);
-                                this.enhanceProductCard(productCard, productId);
-                                this.observer.unobserve(productCard);
-                            }
-                        }
-                    });
-                },
-                { rootMargin: '200px' }
-            );
+        addProduct(card, productId, variants, bestVariant) {
+            const totals = (variants || [])
+                .map(v => (v.price?.discountedValue || 0) + (v.shipping?.cost || 0))
+                .filter(total => total > 0);
+            if (totals.length === 0) return;
+            const bestTotal = bestVariant
+                ? (bestVariant.price?.discountedValue || 0) + (bestVariant.shipping?.cost || 0)
+                : Math.min(...totals);
+            const entry = { productId, totals, bestTotal, unitPrices: utils.getUnitPrices(variants) };
+            this.pruneRemovedCards();
+            this.entries.set(card, entry);
+            this.listeners.forEach(listener => listener(card, entry));
         }
 
-        async enhanceProductCard(card, productId) {
-            // Check if we've already processed this card
-            log(`[ARP_EnhanceFlow] [enhanceProductCard START] Processing card ${productId}`, { productId });
-            if (this.processedCards.has(card)) {
-                log('Card already processed:', productId, { productId });
-                this.pendingEnhancements.delete(productId);
-                loadingManager.itemComplete();
-                return;
-            }
+        // Forget cards that infinite scroll or a re-render took out of the page, so they stop skewing the distribution
+        pruneRemovedCards() {
+            this.entries.forEach((entry, card) => {
+                if (!card.isConnected) {
+                    this.entries.delete(card);
+                }
+            });
+        }
 
-            log('Enhancing product card:', productId, { productId });
-            let priceElement = null;
+        onChange(listener) {
+            this.listeners.push(listener);
+        }
 
-            try {
-                // Try multiple strategies to find the price element
-                const priceSelectors = effectivePriceSelectors; // USE EFFECTIVE SELECTORS
+        getAllTotals() {
+            this.pruneRemovedCards();
+            return Array.from(this.entries.values()).flatMap(entry => entry.totals);
+        }
+
+        getBounds() {
+            const totals = this.getAllTotals();
+            if (totals.length === 0) return null;
+            return { min: Math.min(...totals), max: Math.max(...totals) };
+        }
+
+        // Count of variant totals per bin across [min, max]
+        getHistogram(binCount, min, max) {
+            const bins = new Array(binCount).fill(0);
+            const width = (max - min) || 1;
+            this.getAllTotals().forEach(total => {
+                const index = Math.min(binCount - 1, Math.floor(((total - min) / width) * binCount));
+                bins[index]++;
+            });
+            return bins;
+        }
+    }
+
+    // Docked panel with a histogram of real totals and a range filter for the cards
+    class PriceHistogramPanel {
+        constructor(distribution) {
+            this.distribution = distribution;
+            this.binCount = 24;
+            this.sliderSteps = 1000; // Sliders work on positions; the selected range is kept in prices
+            this.range = null; // { min, max } selected by the user; null = show everything
+            this.filterMode = 'dim'; // 'dim' or 'hide'
+            this.renderScheduled = false;
+            this.createElements();
+            this.distribution.onChange(() => this.scheduleRender());
+        }
+
+        createElements() {
+            this.container = document.createElement('div');
+            this.container.className = 'ali-real-price-histogram-panel';
+
+            const header = document.createElement('div');
+            header.className = 'ali-real-price-histogram-header';
+            const title = document.createElement('span');
+            title.textContent = 'Real price distribution';
+            this.collapseToggle = document.createElement('span');
+            this.collapseToggle.className = 'ali-real-price-histogram-collapse';
+            this.collapseToggle.textContent = '▼';
+            header.appendChild(title);
+            header.appendChild(this.collapseToggle);
+            header.onclick = () => {
+                const isCollapsed = this.container.classList.toggle('collapsed');
+                this.collapseToggle.textContent = isCollapsed ? '▲' : '▼';
+            };
+            this.container.appendChild(header);
+
+            this.body = document.createElement('div');
+            this.body.className = 'ali-real-price-histogram-body';
+
+            this.bars = document.createElement('div');
+            this.bars.className = 'ali-real-price-histogram-bars';
+            this.body.appendChild(this.bars);
+
+            this.minSlider = this.createSlider('Min');
+            this.maxSlider = this.createSlider('Max');
+            this.minSlider.value = 0;
+            this.maxSlider.value = this.sliderSteps;
+
+            this.rangeLabel = document.createElement('div');
+            this.rangeLabel.className = 'ali-real-price-histogram-label';
+            this.body.appendChild(this.rangeLabel);
+
+            const controls = document.createElement('div');
+            controls.className = 'ali-real-price-histogram-controls';
+
+            this.modeSelect = document.createElement('select');
+            [['dim', 'Dim others'], ['hide', 'Hide others']].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                this.modeSelect.appendChild(option);
+            });
+            this.modeSelect.onchange = () => {
+                this.filterMode = this.modeSelect.value;
+                this.applyFilter();
+            };
+            controls.appendChild(this.modeSelect);
+
+            const resetLink = document.createElement('span');
+            resetLink.className = 'ali-real-price-histogram-reset';
+            resetLink.textContent = 'Reset';
+            resetLink.onclick = () => this.resetRange();
+            controls.appendChild(resetLink);
+
+            this.body.appendChild(controls);
+            this.container.appendChild(this.body);
+            document.body.appendChild(this.container);
+        }
+
+        createSlider(labelText) {
+            const row = document.createElement('label');
+            row.className = 'ali-real-price-histogram-slider';
+            row.appendChild(document.createTextNode(labelText));
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = this.sliderSteps;
+            slider.addEventListener('input', () => this.handleSliderInput());
+            row.appendChild(slider);
+            this.body.appendChild(row);
+            return slider;
+        }
+
+        // Extra controls (e.g. the sort selector) are appended below the filter controls
+        addControl(element) {
+            this.body.appendChild(element);
+        }
+
+        scheduleRender() {
+            if (this.renderScheduled) return;
+            this.renderScheduled = true;
+            requestAnimationFrame(() => {
+                this.renderScheduled = false;
+                this.render();
+            });
+        }
+
+        positionToPrice(position, bounds) {
+            return bounds.min + (position / this.sliderSteps) * (bounds.max - bounds.min);
+        }
+
+        priceToPosition(price, bounds) {
+            const width = (bounds.max - bounds.min) || 1;
+            return Math.round(((price - bounds.min) / width) * this.sliderSteps);
+        }
+
+        handleSliderInput() {
+            const bounds = this.distribution.getBounds();
+            if (!bounds) return;
+            const low = Math.min(Number(this.minSlider.value), Number(this.maxSlider.value));
+            const high = Math.max(Number(this.minSlider.value), Number(this.maxSlider.value));
+            this.range = {
+                min: this.positionToPrice(low, bounds),
+                max: this.positionToPrice(high, bounds)
+            };
+            this.render();
+        }
+
+        resetRange() {
+            this.range = null;
+            this.render();
+        }
+
+        render() {
+            const bounds = this.distribution.getBounds();
+            this.container.classList.toggle('visible', Boolean(bounds));
+            if (!bounds) return;
+
+            const selected = this.range || bounds;
+            this.minSlider.value = this.priceToPosition(selected.min, bounds);
+            this.maxSlider.value = this.priceToPosition(selected.max, bounds);
+
+            // Draw bars, highlighting bins that overlap the selected range
+            const bins = this.distribution.getHistogram(this.binCount, bounds.min, bounds.max);
+            const maxCount = Math.max(...bins, 1);
+            const binWidth = (bounds.max - bounds.min) / this.binCount;
+            this.bars.innerHTML = '';
+            bins.forEach((count, i) => {
+                const binMin = bounds.min + binWidth * i;
+                const bar = document.createElement('div');
+                bar.className = 'ali-real-price-histogram-bar';
+                bar.style.height = `${(count / maxCount) * 100}%`;
+                bar.title = `${utils.formatPrice(binMin)} – ${utils.formatPrice(binMin + binWidth)}: ${count}`;
+                if (binMin + binWidth < selected.min || binMin > selected.max) {
+                    bar.classList.add('out-of-range');
+                }
+                this.bars.appendChild(bar);
+            });
+
+            this.rangeLabel.textContent = `${utils.formatPrice(selected.min)} – ${utils.formatPrice(selected.max)}`;
+            this.applyFilter();
+        }
+
+        // Dim or hide cards with no variant total inside the selected range
+        applyFilter() {
+            this.distribution.entries.forEach(({ totals }, card) => {
+                const inRange = !this.range || totals.some(total => total >= this.range.min && total <= this.range.max);
+                card.classList.toggle('ali-real-price-filtered-dim', !inRange && this.filterMode === 'dim');
+                card.classList.toggle('ali-real-price-filtered-hidden', !inRange && this.filterMode === 'hide');
+            });
+        }
+    }
+
+    // Reorders enhanced cards in the results grid by their real totals
+    class CardSorter {
+        constructor(distribution) {
+            this.distribution = distribution;
+            this.mode = 'original'; // 'original', 'min', 'best' or 'max'
+            this.cards = []; // Every card seen, in the page's own order
+            this.originalIndex = new WeakMap(); // card -> position in the page's own order
+            this.gridItems = new WeakMap(); // card -> its grid item, so sorting doesn't walk the DOM again
+            this.pendingContainers = new Set(); // Containers to re-sort on the next frame
+            // Slot newly enhanced cards into place while a sort is active, once per batch of cards
+            this.distribution.onChange((card) => {
+                if (this.mode !== 'original') this.scheduleSort(this.getGridItem(card)?.parentElement);
+            });
+        }
+
+        scheduleSort(container) {
+            if (!container) return;
+            const isScheduled = this.pendingContainers.size > 0;
+            this.pendingContainers.add(container);
+            if (isScheduled) return;
+            requestAnimationFrame(() => {
+                const containers = Array.from(this.pendingContainers);
+                this.pendingContainers.clear();
+                containers.forEach(pending => this.sortContainer(pending));
+            });
+        }
+
+        // Remember the page's order so it can be restored; call with cards in DOM order
+        registerCards(cards) {
+            cards.forEach(card => {
+                if (this.originalIndex.has(card)) return;
+                this.originalIndex.set(card, this.cards.length);
+                this.cards.push(card);
+            });
+        }
+
+        // Moving a card re-adds it to the DOM; lets the MutationObserver skip cards it has already seen
+        hasSeen(card) {
+            return this.originalIndex.has(card);
+        }
+
+        createControl() {
+            const row = document.createElement('label');
+            row.className = 'ali-real-price-histogram-slider';
+            row.appendChild(document.createTextNode('Sort'));
+            const select = document.createElement('select');
+            [
+                ['original', 'Original order'],
+                ['min', 'Real total: cheapest variant'],
+                ['best', 'Real total: best match (⊙)'],
+                ['max', 'Real total: most expensive variant'],
+                ['unit', 'Unit price (when most share a unit)']
+            ].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.onchange = () => this.setMode(select.value);
+            row.appendChild(select);
+            return row;
+        }
+
+        setMode(mode) {
+            log(`[CardSorter] Sorting cards by: ${mode}`);
+            this.mode = mode;
+            const containers = new Set(this.cards
+                .filter(card => document.contains(card))
+                .map(card => this.getGridItem(card)?.parentElement)
+                .filter(Boolean));
+            containers.forEach(container => this.sortContainer(container));
+        }
+
+        // The element that is actually a child of the grid (cards are often wrapped in single-child divs).
+        // The grid is the nearest ancestor holding another product card; without one (a single result)
+        // there is nothing to sort, and climbing further would reorder whole page sections.
+        getGridItem(card) {
+            const cached = this.gridItems.get(card);
+            if (cached?.parentElement && cached.contains(card)) return cached;
+
+            let item = card;
+            while (item.parentElement && item.parentElement !== document.body) {
+                const otherCards = Array.from(item.parentElement.querySelectorAll(DEFAULT_SELECTORS.productCard))
+                    .filter(other => !item.contains(other) && !other.contains(item));
+                if (otherCards.length > 0) {
+                    this.gridItems.set(card, item);
+                    return item;
+                }
+                item = item.parentElement;
+            }
+            return null;
+        }
+
+        getSortValue(card, dominantUnit) {
+            const entry = this.distribution.entries.get(card);
+            if (!entry) return null;
+            switch (this.mode) {
+                case 'min': return Math.min(...entry.totals);
+                case 'max': return Math.max(...entry.totals);
+                case 'best': return entry.bestTotal;
+                case 'unit':
+                    // Without a shared unit, fall back to the cheapest total
+                    if (!dominantUnit) return Math.min(...entry.totals);
+                    return entry.unitPrices[dominantUnit] ?? null;
+                default: return null;
+            }
+        }
+
+        sortContainer(container) {
+            if (!container) return;
+            const dominantUnit = this.mode === 'unit'
+                ? utils.findDominantUnit(Array.from(this.distribution.entries.values()).map(entry => entry.unitPrices))
+                : null;
+            const items = this.cards
+                .filter(card => document.contains(card))
+                .map(card => ({ card, item: this.getGridItem(card) }))
+                .filter(({ item }) => item?.parentElement === container)
+                .map(({ card, item }) => ({
+                    item,
+                    value: this.mode === 'original' ? null : this.getSortValue(card, dominantUnit),
+                    index: this.originalIndex.get(card)
+                }));
+
+            // Cards without totals yet keep their original order after the sorted ones
+            items.sort((a, b) => {
+                if (a.value === null && b.value !== null) return 1;
+                if (a.value !== null && b.value === null) return -1;
+                if (a.value !== b.value) return a.value - b.value;
+                return a.index - b.index;
+            });
+
+            // Only move items that are out of place
+            let reference = container.firstElementChild;
+            for (const { item } of items) {
+                if (item === reference) {
+                    reference = reference.nextElementSibling;
+                } else {
+                    container.insertBefore(item, reference);
+                }
+            }
+        }
+    }
+
+    // DOM Enhancement Manager
+    class DOMEnhancer {
+        constructor(dataManager, priceContextCalculator, priceDistribution) {
+            this.dataManager = dataManager;
+            this.priceContextCalculator = priceContextCalculator;
+            this.priceDistribution = priceDistribution;
+            this.displayOptions = {
+                showShipping: true, // Keep flag for potential future use, but won't add text now
+                showPriceRange: true,
+                showDistributionGraph: true
+            };
+            this.displayStates = new WeakMap(); // display element -> { bestVariant, productData, context, productId, baitInfo }
+            this.enhancedCards = new Map(); // card -> { displayElement, advertisedPrice }
+            this.scoredMedian = null; // Page median the enhanced cards were last scored against
+            this.setupIntersectionObserver();
+            this.pendingEnhancements = new Set();
+            this.processedCards = new WeakSet(); // Track processed cards
+            this.lowPriorityCards = new WeakSet(); // Related/recommended cards, enhanced after the main results
+            this.lowPriorityQueue = []; // { card, productId } waiting for the main results to finish
+            this.isDrainingLowPriority = false;
+        }
+
+        setupIntersectionObserver() {
+            this.observer = new IntersectionObserver(
+                (entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            const productCard = entry.target;
+                            const productId = utils.extractProductId(productCard);
+                            if (productId && this.lowPriorityCards.has(productCard)) {
+                                // Related items count towards the loading total only once they're queued
+                                loadingManager.addItems(1);
+                                this.lowPriorityQueue.push({ card: productCard, productId });
+                                this.observer.unobserve(productCard);
+                                this.drainLowPriorityQueue();
+                            } else if (productId) {
+                                this.pendingEnhancements.add(productId);
+                                this.enhanceProductCard(productCard, productId);
+                                this.observer.unobserve(productCard);
+                            }
+                        }
+                    });
+                },
+                { rootMargin: '200px' }
+            );
+        }
+
+        observeCard(card, lowPriority = false) {
+            if (lowPriority) {
+                this.lowPriorityCards.add(card);
+            }
+            this.observer.observe(card);
+        }
+
+        // Recommendation carousels, bundle deals and "more from this store" strips, and any card on a product page
+        isLowPriorityCard(card) {
+            return utils.getProductPageId() !== null || !!card.closest(DEFAULT_SELECTORS.relatedItems);
+        }
+
+        // Related items under root that aren't product cards themselves and haven't been queued yet
+        findRelatedCards(root) {
+            const cards = root.matches?.(DEFAULT_SELECTORS.relatedItems) ? [root] : [];
+            cards.push(...root.querySelectorAll(DEFAULT_SELECTORS.relatedItems));
+            return cards.filter(card =>
+                !this.processedCards.has(card) &&
+                !this.lowPriorityCards.has(card) &&
+                !card.closest(DEFAULT_SELECTORS.productCard) &&
+                !card.querySelector(DEFAULT_SELECTORS.productCard)
+            );
+        }
+
+        // Enhance visible related items one at a time, only while no main result is being enhanced
+        async drainLowPriorityQueue() {
+            if (this.isDrainingLowPriority) return;
+            this.isDrainingLowPriority = true;
+            try {
+                while (this.lowPriorityQueue.length > 0) {
+                    if (this.pendingEnhancements.size > 0) {
+                        await utils.delay(250);
+                        continue;
+                    }
+                    const { card, productId } = this.lowPriorityQueue.shift();
+                    await this.enhanceProductCard(card, productId);
+                }
+            } finally {
+                this.isDrainingLowPriority = false;
+            }
+        }
+
+        async enhanceProductCard(card, productId) {
+            // Check if we've already processed this card
+            log(`[ARP_EnhanceFlow] [enhanceProductCard START] Processing card ${productId}`, { productId });
+            if (this.processedCards.has(card)) {
+                log('Card already processed:', productId, { productId });
+                this.pendingEnhancements.delete(productId);
+                loadingManager.itemComplete();
+                return;
+            }
+
+            log('Enhancing product card:', productId, { productId });
+            let priceElement = null;
+
+            try {
+                // Try multiple strategies to find the price element
+                const priceSelectors = effectivePriceSelectors; // USE EFFECTIVE SELECTORS
 
                 // Log all potential price elements for debugging
                 log('Searching for price element with selectors:', priceSelectors, { productId });
@@ -2398,9 +5302,9 @@
                     const allElements = card.getElementsByTagName('div');
                     const potentialPriceElements = [];
                     for (const element of allElements) {
-                        // Look for price-like patterns (e.g., $XX.XX) AND ensure it's not a crossed-out price
+                        // Look for price-like patterns (e.g., $XX.XX, XX,XX €) AND ensure it's not a crossed-out price
                         const text = element.textContent.trim();
-                        if (/^\$?\d{1,3}(?:[,.]\d{3})*(?:[.,]\d{2})?\s*$/.test(text) && 
+                        if (PRICE_TEXT_PATTERN.test(text) && 
                             !window.getComputedStyle(element).textDecoration.includes('line-through')) {
                             potentialPriceElements.push(element);
                             log('Found potential price element via text pattern:', {
@@ -2464,6 +5368,9 @@
                 // Mark the card as being processed
                 this.processedCards.add(card);
 
+                // Read the advertised price before we overwrite the element
+                const advertisedPrice = this.dataManager.extractPriceFromElement(priceElement).current;
+
                 // Fetch data (rate limiting is now handled *inside* fetchProductData)
                 const productData = await this.dataManager.fetchProductData(productId);
                 log(`[ARP_EnhanceFlow] [enhanceProductCard] Got productData for ${productId}`, { productId });
@@ -2478,16 +5385,30 @@
 
                 log('Received product data for enhancement:', productData, { productId });
 
-                const context = this.priceContextCalculator.calculatePageContext(
-                    Array.from(document.querySelectorAll(DEFAULT_SELECTORS.productCard))
-                );
+                // Add this product's real totals to the page-wide context; related items are only scored against it
+                const isLowPriority = this.lowPriorityCards.has(card);
+                const context = isLowPriority
+                    ? this.priceContextCalculator.getContext()
+                    : this.priceContextCalculator.addProduct(productId, productData.variants);
+
+                const bestVariant = this.selectVariant(productId, productData.variants, context);
 
-                const bestVariant = this.priceContextCalculator.findBestMatchingVariant(
+                const baitInfo = this.priceContextCalculator.calculateBaitScore(
+                    advertisedPrice,
                     productData.variants,
-                    context
+                    bestVariant
                 );
+                log('Bait score:', baitInfo, { productId });
 
-                this.updatePriceDisplay(priceElement, bestVariant, productData, context, productId);
+                const displayElement = this.updatePriceDisplay(priceElement, bestVariant, productData, context, productId, baitInfo);
+                if (displayElement) {
+                    this.enhancedCards.set(card, { displayElement, advertisedPrice });
+                }
+                // Related items aren't part of the results grid the histogram filters and sorts
+                if (!isLowPriority) {
+                    this.priceDistribution?.addProduct(card, productId, productData.variants, bestVariant);
+                }
+                this.recalculateIfContextShifted(context);
 
             } catch (error) {
                 log('Error enhancing product card:', productId, error, { productId });
@@ -2508,10 +5429,10 @@
             }
         }
 
-        updatePriceDisplay(element, bestVariant, productData, context, productId) {
+        updatePriceDisplay(element, bestVariant, productData, context, productId, baitInfo = null) {
             if (!element) {
                 log('Cannot update price display - element is null');
-                return;
+                return null;
             }
 
             if (!element.parentNode) {
@@ -2520,30 +5441,59 @@
                     elementClass: element.className,
                     elementId: element.id
                 });
-                return;
+                return null;
             }
 
+            // Display state is kept per element so recalculateIfContextShifted can re-render it later
+            const state = { bestVariant, productData, context, productId, baitInfo };
+            const card = element.closest(DEFAULT_SELECTORS.productCard);
+
+            // Instead of replacing the element, try to modify it in place first
+            try {
+                element.className = 'ali-real-price-range ' + element.className;
+                this.renderPriceContent(element, state);
+                element.parentNode.style.height = 'auto';
+                element.parentNode.style.minHeight = '26px';
+                this.addPopupHoverEvents(element, card, productId);
+                return element;
+            } catch (modifyError) {
+                log('Failed to modify element in place:', modifyError);
+            }
+
+            // If modifying in place fails, try replacement
+            try {
+                const container = document.createElement('div');
+                container.className = 'ali-real-price-range';
+                this.renderPriceContent(container, state);
+                this.addPopupHoverEvents(container, card, productId);
+                element.parentNode.replaceChild(container, element);
+                return container;
+            } catch (error) {
+                log('Error replacing price element:', error, {
+                    elementHtml: element.outerHTML,
+                    parentHtml: element.parentNode?.outerHTML
+                });
+                return null;
+            }
+        }
+
+        // (Re-)render the price range, shipping note, star, bait badge and distribution graph
+        renderPriceContent(element, state) {
+            const { bestVariant, productData, productId, baitInfo } = state;
+            const isPinned = this.isPinnedVariant(productId, bestVariant);
+            this.displayStates.set(element, { ...state, isPinned });
+
             // Get total price range (includes shipping)
             const priceRange = this.getPriceRange(productData.variants, productId);
-            const displayOptions = {
-                showShipping: true, // Keep flag for potential future use, but won't add text now
-                showPriceRange: true,
-                showDistributionGraph: false 
-            };
-            // // price distribution graph is not working so well. ideally itd show the distribution of 
-            // the prices of all the variants on the entire page but we'd have to calculate that after all
-            // the cards have been enhanced and then update all of them retroactively. There's probably a
-            // more elegant way to do this by having some global state that's updated as we enhance each card
-            // and an observer that updates all the cards with the new distribution.
-            // TODO: implement this
-            // TODO: also it'd be cool to show a histogram of all the prices on the page, and a slider to show/hide
-            // products that don't have variants with prices in the selected range. 
-
 
             // Start with the min price (which if there is no range, will be the only price)
             let displayText = utils.formatPrice(priceRange.min);
 
-            if (displayOptions.showPriceRange && priceRange.min !== priceRange.max) {
+            if (isPinned) {
+                // The pinned variant's real total replaces the range
+                displayText = `<span class="ali-real-price-pin-marker">📌</span> ` +
+                    utils.formatPrice(bestVariant.price.discountedValue + (bestVariant.shipping?.cost || 0));
+            } else if (this.displayOptions.showPriceRange && priceRange.min !== priceRange.max) {
                 // Display the total price range
                 displayText = `${utils.formatPrice(priceRange.min)} - ${utils.formatPrice(priceRange.max)}`;
             }
@@ -2558,78 +5508,169 @@
                 log(`NOT adding '(including shipping)' for ${productId} because cost is ${bestVariant.shipping?.cost} and hasChoiceFreeShipping is ${bestVariant.shipping?.hasChoiceFreeShipping}`, { productId });
             }
 
-            // Instead of replacing the element, try to modify it in place first
-            try {
-                element.className = 'ali-real-price-range ' + element.className;
-                element.innerHTML = displayText;
-                element.parentNode.style.height = 'auto';
-                element.parentNode.style.minHeight = '26px';
+            // Unit price of the best variant; shown only when the preference is on (see .ali-real-price-card-unit)
+            const unitPrice = utils.getUnitPrice(bestVariant);
+            if (unitPrice) {
+                displayText += `<span class="ali-real-price-card-unit"><br/>(${utils.formatUnitPrice(unitPrice)})</span>`;
+            }
 
-                // Add hover events for variant popup
-                const card = element.closest(DEFAULT_SELECTORS.productCard);
-                if (card) {
-                    let popupTimeout;
-                    element.addEventListener('mouseenter', () => {
-                        log('mouseenter', {productId});
-                        popupTimeout = setTimeout(() => {
-                            this.showVariantPopup(card, productData.variants, bestVariant, context, productId);
-                        }, 200); // Small delay to prevent flicker
-                    });
-                    log('mouseenter event listener added', {productId});
+            element.innerHTML = displayText;
+            element.appendChild(this.createWatchToggle(productData, productId));
+            if (baitInfo?.reason) {
+                element.appendChild(this.createBaitBadge(baitInfo));
+            }
 
-                    element.addEventListener('mouseleave', () => {
-                        clearTimeout(popupTimeout);
-                        setTimeout(() => {
-                            this.hideVariantPopup(card, productId);
-                        }, 200); // Small delay to allow moving mouse to popup
-                    });
-                } else {
-                    log('no card found for when establishing hover events', {productId});
-                }
+            if (this.displayOptions.showDistributionGraph) {
+                this.addPriceDistributionGraph(element, bestVariant, priceRange, productId);
+            }
+        }
 
-                if (displayOptions.showDistributionGraph) {
-                    this.addPriceDistributionGraph(element, bestVariant, priceRange, productId);
-                }
+        // Add hover events for variant popup
+        addPopupHoverEvents(element, card, productId) {
+            if (!card) {
+                log('no card found for when establishing hover events', {productId});
                 return;
-            } catch (modifyError) {
-                log('Failed to modify element in place:', modifyError);
             }
 
-            // If modifying in place fails, try replacement
-            try {
-                const container = document.createElement('div');
-                container.className = 'ali-real-price-range';
-                container.innerHTML = displayText;
-
-                // Add hover events for variant popup
-                const card = element.closest(DEFAULT_SELECTORS.productCard);
-                if (card) {
-                    let popupTimeout;
-                    container.addEventListener('mouseenter', () => {
-                        log('mouseenter (container)', {productId});
-                        popupTimeout = setTimeout(() => {
-                            this.showVariantPopup(card, productData.variants, bestVariant, context, productId);
-                        }, 200); // Small delay to prevent flicker
-                    });
+            if (isMobileLayout) {
+                // No hover on touch screens: tapping the price opens the variant sheet instead of following the card link
+                element.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const { productData, bestVariant, context } = this.displayStates.get(element);
+                    this.showVariantPopup(card, productData.variants, bestVariant, context, productId);
+                });
+                return;
+            }
 
-                    container.addEventListener('mouseleave', () => {
-                        clearTimeout(popupTimeout);
-                        setTimeout(() => {
-                            this.hideVariantPopup(card, productId);
-                        }, 200); // Small delay to allow moving mouse to popup
-                    });
+            let popupTimeout;
+            element.addEventListener('mouseenter', () => {
+                log('mouseenter', {productId});
+                popupTimeout = setTimeout(() => {
+                    // Read the current state: the best variant may have changed since the listener was added
+                    const { productData, bestVariant, context } = this.displayStates.get(element);
+                    this.showVariantPopup(card, productData.variants, bestVariant, context, productId);
+                }, 200); // Small delay to prevent flicker
+            });
+            log('mouseenter event listener added', {productId});
+
+            element.addEventListener('mouseleave', () => {
+                clearTimeout(popupTimeout);
+                setTimeout(() => {
+                    this.hideVariantPopupUnlessHovered(card, productId);
+                }, 200); // Small delay to allow moving mouse to popup
+            });
+        }
+
+        // Re-score already-enhanced cards once the page median has moved significantly since they were scored
+        recalculateIfContextShifted(context) {
+            if (!context) return;
+            if (this.scoredMedian === null) {
+                this.scoredMedian = context.median;
+                return;
+            }
+
+            const shift = Math.abs(context.median - this.scoredMedian) / (this.scoredMedian || 1);
+            if (shift < CONTEXT_RECALCULATION_THRESHOLD) return;
+
+            log(`Page median moved from ${this.scoredMedian} to ${context.median}, re-scoring ${this.enhancedCards.size} cards`);
+            this.scoredMedian = context.median;
+            this.rescoreCards(context);
+        }
+
+        // Re-apply the accessory rules to every enhanced card's data and re-render all of them
+        reclassifyCards() {
+            this.enhancedCards.forEach(({ displayElement }, card) => {
+                const state = this.displayStates.get(displayElement);
+                if (!state) return;
+                const productData = this.dataManager.applyAccessoryRules(state.productData);
+                this.displayStates.set(displayElement, { ...state, productData });
+                if (!this.lowPriorityCards.has(card)) {
+                    this.priceContextCalculator.addProduct(state.productId, productData.variants);
                 }
+            });
+
+            const context = this.priceContextCalculator.getContext();
+            if (!context) return;
+            log(`Accessory rules changed, re-scoring ${this.enhancedCards.size} cards`);
+            this.scoredMedian = context.median;
+            this.rescoreCards(context, true);
+        }
 
-                if (displayOptions.showDistributionGraph) {
-                    this.addPriceDistributionGraph(container, bestVariant, priceRange, productId);
+        // Recompute the page context (unit or total prices) and re-render every card against it
+        recalculateContext() {
+            const context = this.priceContextCalculator.recalculate();
+            if (!context) return;
+            log(`Page context recalculated (unit: ${context.unit || 'none'}), re-scoring ${this.enhancedCards.size} cards`);
+            this.scoredMedian = context.median;
+            this.rescoreCards(context, true);
+        }
+
+        // Pick each card's ⊙ variant and bait score against context; re-render the ones that changed (or all with force)
+        rescoreCards(context, force = false) {
+            this.enhancedCards.forEach(({ displayElement, advertisedPrice }, card) => {
+                if (!document.contains(displayElement)) {
+                    this.enhancedCards.delete(card);
+                    return;
                 }
 
-                element.parentNode.replaceChild(container, element);
-            } catch (error) {
-                log('Error replacing price element:', error, {
-                    elementHtml: element.outerHTML,
-                    parentHtml: element.parentNode?.outerHTML
-                });
+                const state = this.displayStates.get(displayElement);
+                const variants = state.productData.variants;
+                const bestVariant = this.selectVariant(state.productId, variants, context);
+                const baitInfo = this.priceContextCalculator.calculateBaitScore(advertisedPrice, variants, bestVariant);
+                const bestChanged = bestVariant.id !== state.bestVariant.id;
+                const pinChanged = this.isPinnedVariant(state.productId, bestVariant) !== state.isPinned;
+
+                if (force || bestChanged || pinChanged || baitInfo?.score !== state.baitInfo?.score) {
+                    this.renderPriceContent(displayElement, { ...state, bestVariant, context, baitInfo });
+                } else {
+                    this.displayStates.set(displayElement, { ...state, context });
+                }
+                if ((force || bestChanged) && !this.lowPriorityCards.has(card)) {
+                    this.priceDistribution?.addProduct(card, state.productId, variants, bestVariant);
+                }
+            });
+        }
+
+        // The pinned variant if the user picked one for this product, otherwise the one closest to the page median
+        selectVariant(productId, variants, context) {
+            return this.dataManager.variantPinManager?.findPinnedVariant(productId, variants) ||
+                this.priceContextCalculator.findBestMatchingVariant(variants, context);
+        }
+
+        isPinnedVariant(productId, variant) {
+            return Boolean(variant && this.dataManager.variantPinManager?.findPinnedVariant(productId, [variant]));
+        }
+
+        // Pin the clicked popup variant (or unpin it if it already was), then re-render the cards and the popup
+        async toggleVariantPin(card, productId, variant) {
+            const pinManager = this.dataManager.variantPinManager;
+            if (!pinManager) return;
+
+            if (this.isPinnedVariant(productId, variant)) {
+                await pinManager.unpin(productId);
+            } else {
+                await pinManager.pin(productId, variant);
+            }
+
+            const context = this.priceContextCalculator.getContext();
+            if (context) {
+                this.rescoreCards(context);
+            }
+
+            // Re-render this card even without a page context (a single card, or before the context is ready)
+            const enhanced = this.enhancedCards.get(card);
+            const displayElement = enhanced?.displayElement;
+            let state = displayElement && this.displayStates.get(displayElement);
+            if (state) {
+                const variants = state.productData.variants;
+                const bestVariant = this.selectVariant(productId, variants, state.context);
+                if (bestVariant.id !== state.bestVariant.id || this.isPinnedVariant(productId, bestVariant) !== state.isPinned) {
+                    const baitInfo = this.priceContextCalculator.calculateBaitScore(enhanced.advertisedPrice, variants, bestVariant);
+                    this.renderPriceContent(displayElement, { ...state, bestVariant, baitInfo });
+                    state = this.displayStates.get(displayElement);
+                }
+                this.showVariantPopup(card, variants, state.bestVariant, state.context, productId);
             }
         }
 
@@ -2640,125 +5681,872 @@
 
             const popup = document.createElement('div');
             popup.className = 'ali-real-price-popup';
+            if (!isMobileLayout) {
+                popup.addEventListener('mouseleave', () => this.hideVariantPopup(card, productId));
+            }
+
+            const popupHeader = document.createElement('div');
+            popupHeader.className = 'ali-real-price-popup-header';
+            popupHeader.appendChild(this.createWatchToggle({ title: card.querySelector(DEFAULT_SELECTORS.title)?.textContent?.trim() || '', variants }, productId));
+            popup.appendChild(popupHeader);
+
+            const onPin = variants.length > 1 ? variant => this.toggleVariantPin(card, productId, variant) : null;
+            popup.appendChild(this.createVariantTable(variants, bestVariant, {
+                pinnedVariant: this.dataManager.variantPinManager?.findPinnedVariant(productId, variants) || null,
+                onPin
+            }));
+
+            const spreadSection = this.createAttributeSpreadSection(variants);
+            if (spreadSection) {
+                popup.appendChild(spreadSection);
+            }
+
+            const shippingSection = this.createShippingMethodsSection(bestVariant);
+            if (shippingSection) {
+                popup.appendChild(shippingSection);
+            }
+
+            const historySection = this.createPriceHistorySection(bestVariant, productId);
+            if (historySection) {
+                popup.appendChild(historySection);
+            }
+
+            const orderNote = describeLastOrder(productId, variants, bestVariant);
+            if (orderNote) {
+                const orderInfo = document.createElement('div');
+                orderInfo.className = 'ali-real-price-order-note';
+                orderInfo.textContent = orderNote;
+                popup.appendChild(orderInfo);
+            }
+
+            const freeShippingThreshold = this.getFreeShippingThreshold(variants, productId);
+            if (freeShippingThreshold) {
+                const thresholdInfo = document.createElement('div');
+                thresholdInfo.className = 'free-shipping-threshold';
+                thresholdInfo.textContent = `Free shipping over ${utils.formatPrice(freeShippingThreshold)}`;
+                popup.appendChild(thresholdInfo);
+
+                const progress = this.getFreeShippingProgress(bestVariant, freeShippingThreshold);
+                if (progress) {
+                    const progressInfo = document.createElement('div');
+                    progressInfo.className = 'free-shipping-progress';
+                    progressInfo.textContent = `Add ${utils.formatPrice(progress.remaining)} more for free shipping ` +
+                        `(${progress.quantity} × ${bestVariant.name} gets you there)`;
+                    popup.appendChild(progressInfo);
+                }
+            }
+
+            if (isMobileLayout) {
+                this.openVariantSheet(popup, card, productId);
+                return;
+            }
+
+            this.positionPopup(popup, card);
+            card.appendChild(popup);
+        }
+
+        // Mobile: show the popup content as a bottom sheet; tapping ✕ or outside the sheet closes it
+        openVariantSheet(popup, card, productId) {
+            popup.classList.add('ali-real-price-sheet');
+
+            const closeButton = document.createElement('span');
+            closeButton.className = 'ali-real-price-sheet-close';
+            closeButton.textContent = '✕';
+            closeButton.addEventListener('click', () => this.hideVariantPopup(card, productId));
+            popup.querySelector('.ali-real-price-popup-header')?.appendChild(closeButton);
+
+            const backdrop = document.createElement('div');
+            backdrop.className = 'ali-real-price-sheet-backdrop';
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) {
+                    this.hideVariantPopup(card, productId);
+                }
+            });
+            backdrop.appendChild(popup);
+            document.body.appendChild(backdrop);
+        }
+
+        // Attributes that differ between variants ("Plug Type", "Color"...), each with its values in first-seen order
+        getVaryingAttributes(variants) {
+            const attributes = new Map();
+            for (const variant of variants) {
+                for (const attribute of variant.attributes || []) {
+                    if (!attributes.has(attribute.propertyId)) {
+                        attributes.set(attribute.propertyId, { ...attribute, values: new Map() });
+                    }
+                    attributes.get(attribute.propertyId).values.set(attribute.valueId, attribute.value);
+                }
+            }
+            return [...attributes.values()].filter(attribute => attribute.values.size > 1);
+        }
+
+        // Variants as a table sorted by real total, grouped by the first varying attribute when there are several.
+        // With onPin, clicking a row pins (or unpins) that variant.
+        createVariantTable(variants, bestVariant, { pinnedVariant = null, onPin = null } = {}) {
+            const getTotal = variant => variant.price.discountedValue + variant.shipping.cost;
+            const sortedVariants = [...variants].sort((a, b) => getTotal(a) - getTotal(b));
+            const varying = this.getVaryingAttributes(variants);
+            const labelled = varying.filter(attribute => !attribute.isShipsFrom);
+            const groupBy = labelled.length > 0 && varying.length > 1 ? labelled[0] : null;
+
+            const getValue = (variant, attribute) =>
+                variant.attributes?.find(({ propertyId }) => propertyId === attribute.propertyId);
+            const getLabel = variant => {
+                const parts = labelled
+                    .filter(attribute => attribute !== groupBy)
+                    .map(attribute => getValue(variant, attribute)?.value)
+                    .filter(Boolean);
+                return parts.join(' ') || variant.name;
+            };
+
+            // Groups in order of their cheapest variant, so the cheapest group is on top
+            const groups = new Map();
+            for (const variant of sortedVariants) {
+                const key = groupBy ? getValue(variant, groupBy)?.valueId ?? null : null;
+                if (!groups.has(key)) {
+                    groups.set(key, { title: key === null ? '' : groupBy.values.get(key), variants: [] });
+                }
+                groups.get(key).variants.push(variant);
+            }
+
+            const table = document.createElement('table');
+            table.className = 'ali-real-price-variant-table';
+
+            const header = table.createTHead().insertRow();
+            ['Variant', 'Price', 'Shipping', 'Total'].forEach(text => {
+                const cell = document.createElement('th');
+                cell.textContent = text;
+                header.appendChild(cell);
+            });
+
+            const body = table.createTBody();
+            for (const group of groups.values()) {
+                if (groupBy) {
+                    const groupRow = body.insertRow();
+                    groupRow.className = 'ali-real-price-variant-group';
+                    const groupCell = groupRow.insertCell();
+                    groupCell.colSpan = 4;
+                    groupCell.textContent = `${groupBy.property || 'Option'}: ${group.title || '?'}`;
+                }
+
+                for (const variant of group.variants) {
+                    const row = body.insertRow();
+                    const isMedianMatch = variant.id === bestVariant.id;
+                    const isPinned = variant.id === pinnedVariant?.id;
+                    if (isMedianMatch) {
+                        row.classList.add('median-match');
+                    }
+                    if (isPinned) {
+                        row.classList.add('pinned');
+                    }
+                    if (onPin) {
+                        row.classList.add('pinnable');
+                        row.title = isPinned ? 'Click to unpin this variant' : 'Click to pin this variant for this product';
+                        row.addEventListener('click', (e) => {
+                            // Cards are usually links; don't navigate
+                            e.preventDefault();
+                            e.stopPropagation();
+                            onPin(variant);
+                        });
+                    }
+
+                    const nameCell = row.insertCell();
+                    nameCell.textContent = `${isPinned ? '📌' : isMedianMatch ? '⊙' : '•'} ${getLabel(variant)}`;
+
+                    if (variant.shipFrom) {
+                        const originNote = document.createElement('span');
+                        originNote.className = 'ali-real-price-origin';
+                        originNote.textContent = `from ${utils.formatOrigin(variant.shipFrom)}`;
+                        if (variant.shipFrom === shipToDestination.country) {
+                            originNote.classList.add('local');
+                        }
+                        nameCell.appendChild(originNote);
+                    }
+
+                    const unitPrice = utils.getUnitPrice(variant);
+                    if (unitPrice) {
+                        const unitNote = document.createElement('span');
+                        unitNote.className = 'ali-real-price-unit-note';
+                        unitNote.textContent = ` (${utils.formatUnitPrice(unitPrice)})`;
+                        nameCell.appendChild(unitNote);
+                    }
+
+                    row.insertCell().textContent = variant.price.discountedFormattedPrice;
+                    row.insertCell().textContent = variant.shipping.cost > 0 ? variant.shipping.formattedPrice : 'Free';
+                    row.insertCell().textContent = utils.formatPrice(getTotal(variant));
+                }
+            }
+
+            return table;
+        }
+
+        // For each varying attribute, the cheapest real total per value and how much more it is
+        // than the cheapest value (e.g. "EU plug +$3.00")
+        createAttributeSpreadSection(variants) {
+            const varying = this.getVaryingAttributes(variants);
+            if (varying.length === 0) return null;
+
+            const section = document.createElement('div');
+            section.className = 'ali-real-price-attribute-spread';
+
+            for (const attribute of varying) {
+                const cheapestByValue = [...attribute.values].map(([valueId, value]) => {
+                    const totals = variants
+                        .filter(variant => variant.attributes?.some(a => a.propertyId === attribute.propertyId && a.valueId === valueId))
+                        .map(variant => variant.price.discountedValue + variant.shipping.cost);
+                    return { value, total: Math.min(...totals) };
+                }).sort((a, b) => a.total - b.total);
+
+                const title = document.createElement('div');
+                title.className = 'ali-real-price-attribute-spread-title';
+                title.textContent = `Price by ${(attribute.property || 'option').toLowerCase()}:`;
+                section.appendChild(title);
+
+                const list = document.createElement('ul');
+                const cheapest = cheapestByValue[0].total;
+                for (const { value, total } of cheapestByValue) {
+                    const item = document.createElement('li');
+                    const delta = total - cheapest;
+                    item.textContent = `${value}: ${utils.formatPrice(total)}` +
+                        (delta > 0.005 ? ` (+${utils.formatPrice(delta)})` : ' (cheapest)');
+                    list.appendChild(item);
+                }
+                section.appendChild(list);
+            }
+
+            return section;
+        }
+
+        // Every shipping method for the ⊙ variant; the one in the real total is ticked
+        createShippingMethodsSection(bestVariant) {
+            const methods = bestVariant?.shipping?.methods || [];
+            if (methods.length < 2) return null;
+
+            const section = document.createElement('div');
+            section.className = 'ali-real-price-shipping-methods';
+            section.textContent = 'Shipping options:';
+
+            const list = document.createElement('ul');
+            const selected = utils.selectShippingMethod(methods);
+            [...methods].sort((a, b) => a.cost - b.cost).forEach(method => {
+                const item = document.createElement('li');
+                const details = [
+                    method.cost > 0 ? method.formattedPrice : 'Free',
+                    utils.formatDeliveryDays(method),
+                    method.tracking === true ? 'tracked' : method.tracking === false ? 'no tracking' : ''
+                ].filter(Boolean);
+                item.textContent = `${method === selected ? '✓' : '•'} ${method.carrier}: ${details.join(' · ')}`;
+                if (method === selected) {
+                    item.classList.add('selected');
+                }
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+            return section;
+        }
+
+        // Sparkline and all-time low/high of the ⊙ variant's real total
+        createPriceHistorySection(bestVariant, productId) {
+            const historyManager = this.dataManager.priceHistoryManager;
+            if (!historyManager || !bestVariant) return null;
+
+            const points = historyManager.getVariantHistory(utils.getQuoteKey(productId), bestVariant.id);
+            const stats = historyManager.getStats(points);
+            if (!stats) return null;
+
+            const section = document.createElement('div');
+            section.className = 'ali-real-price-history';
+
+            if (points.length > 1) {
+                section.appendChild(this.createSparkline(points.map(point => point.price + point.shipping)));
+            }
+
+            const statsText = document.createElement('div');
+            statsText.className = 'ali-real-price-history-stats';
+            statsText.textContent = `All-time low ${utils.formatPrice(stats.low)} · high ${utils.formatPrice(stats.high)} ` +
+                `(since ${new Date(stats.since).toLocaleDateString(shopperLocale)})`;
+            section.appendChild(statsText);
+
+            return section;
+        }
+
+        createSparkline(values, width = 120, height = 24) {
+            const svgNamespace = 'http://www.w3.org/2000/svg';
+            const svg = document.createElementNS(svgNamespace, 'svg');
+            svg.setAttribute('class', 'ali-real-price-sparkline');
+            svg.setAttribute('width', width);
+            svg.setAttribute('height', height);
+            svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+            const min = Math.min(...values);
+            const range = (Math.max(...values) - min) || 1;
+            const step = width / (values.length - 1);
+            const coordinates = values.map((value, i) => {
+                const x = i * step;
+                const y = height - 2 - ((value - min) / range) * (height - 4);
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            });
+
+            const line = document.createElementNS(svgNamespace, 'polyline');
+            line.setAttribute('points', coordinates.join(' '));
+            svg.appendChild(line);
+            return svg;
+        }
+
+        // Keep the popup open while the mouse is over it (it closes on its own mouseleave)
+        hideVariantPopupUnlessHovered(card, productId) {
+            const popup = card.querySelector('.ali-real-price-popup');
+            if (popup && popup.matches(':hover')) return;
+            this.hideVariantPopup(card, productId);
+        }
+
+        // Badge explaining why a listing looks like bait; hidden below the configured threshold
+        createBaitBadge(baitInfo) {
+            const badge = document.createElement('div');
+            badge.className = 'ali-real-price-bait-badge';
+            badge.classList.add(baitInfo.score >= 70 ? 'severe' : 'moderate');
+            badge.dataset.score = baitInfo.score;
+            badge.textContent = `⚠ ${baitInfo.reason}`;
+            badge.title = `Bait score ${baitInfo.score}/100`;
+            updateBaitBadgeVisibility(badge);
+            return badge;
+        }
+
+        // Star button that adds/removes the product from the watchlist
+        createWatchToggle(productData, productId) {
+            const toggle = document.createElement('span');
+            toggle.className = 'ali-real-price-watch-toggle';
+            toggle.dataset.productId = productId;
+            updateWatchToggle(toggle, Boolean(this.dataManager.watchlistManager?.isWatched(productId)));
+            toggle.addEventListener('click', async (e) => {
+                // Cards are usually links; don't navigate
+                e.preventDefault();
+                e.stopPropagation();
+                await handleWatchToggle(productId, productData);
+            });
+            return toggle;
+        }
+
+        hideVariantPopup(card, productId, shouldLog = true) {
+            // The mobile sheet lives on <body> (with its backdrop), the desktop popup inside the card
+            const popup = isMobileLayout
+                ? document.querySelector('.ali-real-price-sheet-backdrop')
+                : card.querySelector('.ali-real-price-popup');
+            if (popup) {
+                if (shouldLog) log('Hiding variant popup', { productId });
+                popup.remove();
+            }
+        }
+
+        positionPopup(popup, card) {
+            const cardRect = card.getBoundingClientRect();
+            popup.style.left = '100%';
+            popup.style.top = '0';
+
+            // Reposition if popup would go off screen
+            requestAnimationFrame(() => {
+                const popupRect = popup.getBoundingClientRect();
+                if (popupRect.right > window.innerWidth) {
+                    popup.style.left = 'auto';
+                    popup.style.right = '100%';
+                }
+            });
+        }
+
+        getPriceRange(variants, productId) {
+            if (!variants || variants.length === 0) {
+                log('No variants provided to getPriceRange', { productId });
+                return { min: 0, max: 0 };
+            }
+            // Calculate total price (item + shipping) for each variant
+            const totalPrices = utils.getPreferredVariants(variants).map(v => {
+                const itemPrice = v.price?.discountedValue || 0;
+                const shippingCost = v.shipping?.cost || 0;
+                return itemPrice + shippingCost;
+            });
+
+            if (totalPrices.length === 0) {
+               log('Calculated totalPrices array is empty', { productId, variants });
+               return { min: 0, max: 0 };
+            }
+
+            return {
+                min: Math.min(...totalPrices),
+                max: Math.max(...totalPrices)
+            };
+        }
+
+        getFreeShippingThreshold(variants, productId) {
+            return variants.reduce((threshold, variant) => {
+                return variant.shipping.freeThreshold != null
+                    ? Math.min(threshold || Infinity, variant.shipping.freeThreshold)
+                    : threshold;
+            }, null);
+        }
+
+        // How much more to spend, and how many of this variant to buy, to reach free shipping
+        getFreeShippingProgress(variant, threshold) {
+            const price = variant?.price?.discountedValue || 0;
+            if (!(variant?.shipping?.cost > 0) || price <= 0 || price >= threshold) return null;
+            return {
+                remaining: threshold - price,
+                quantity: Math.ceil(threshold / price)
+            };
+        }
+
+        addPriceDistributionGraph(container, bestVariant, priceRange, productId) {
+            const graph = document.createElement('div');
+            graph.className = 'ali-real-price-distribution';
+
+            const marker = document.createElement('div');
+            marker.className = 'ali-real-price-distribution-marker';
+
+            // Nothing to show when every variant costs the same
+            if (priceRange.max === priceRange.min) return;
+
+            const bestTotal = bestVariant.price.discountedValue + (bestVariant.shipping?.cost || 0);
+            const position = ((bestTotal - priceRange.min) /
+                (priceRange.max - priceRange.min)) * 100;
+            marker.style.left = `${position}%`;
+
+            graph.appendChild(marker);
+            container.appendChild(graph);
+        }
+
+        // Every enhanced card's product, variants and ⊙ pick, for the export action
+        getExportData() {
+            const products = [];
+            this.enhancedCards.forEach(({ displayElement }, card) => {
+                const state = this.displayStates.get(displayElement);
+                if (!state) return;
+                const { productData, productId, bestVariant } = state;
+                products.push({
+                    productId,
+                    title: productData.title || card.querySelector(DEFAULT_SELECTORS.title)?.textContent?.trim() || '',
+                    url: `${window.location.origin}/item/${productId}.html`,
+                    source: productData.fromCache ? `${productData.source || 'unknown'} (cached)` : (productData.source || 'unknown'),
+                    currency: shopperCurrency,
+                    bestVariantId: bestVariant?.id ?? null,
+                    variants: productData.variants.map(variant => ({
+                        id: variant.id,
+                        name: variant.name,
+                        price: variant.price?.discountedValue || 0,
+                        shipping: variant.shipping?.cost || 0,
+                        total: (variant.price?.discountedValue || 0) + (variant.shipping?.cost || 0),
+                        isMainProduct: Boolean(variant.isMainProduct)
+                    }))
+                });
+            });
+            return products;
+        }
+
+        // Helper method to get element depth in DOM
+        getElementDepth(element) {
+            let depth = 0;
+            let current = element;
+            while (current.parentNode) {
+                depth++;
+                current = current.parentNode;
+            }
+            return depth;
+        }
+    }
+
+    // Product detail page (/item/<id>.html): label each SKU button with item price + shipping = total
+    class ProductPageEnhancer {
+        constructor(dataManager, productId) {
+            this.dataManager = dataManager;
+            this.productId = productId;
+            this.productData = null;
+            this.labelScheduled = false;
+        }
+
+        async enhance() {
+            this.productData = await this.readPageProductData() || await this.dataManager.fetchProductData(this.productId);
+            if (!this.productData) {
+                log('No product data for the product page, skipping SKU labels', { productId: this.productId });
+                return;
+            }
+            log('Annotating product page SKU picker', { productId: this.productId, productData: this.productData });
+            this.renderOrderNote();
+            this.labelSkuButtons();
+
+            // The page re-renders the SKU buttons whenever the selection changes
+            new MutationObserver(() => this.scheduleLabel()).observe(document.body, { childList: true, subtree: true });
+            // Typing in the quantity box fires input events; the +/- buttons only show up as clicks
+            document.addEventListener('input', (e) => {
+                if (e.target.matches?.(DEFAULT_SELECTORS.quantity)) this.scheduleLabel();
+            }, true);
+            document.addEventListener('click', () => this.scheduleLabel(), true);
+        }
+
+        // The page's own runParams data, so the product page doesn't need another API call
+        async readPageProductData() {
+            const raw = unsafeWindow.runParams?.data;
+            if (!raw) return null;
+            try {
+                let productData = null;
+                if (raw.SKU || raw.PRICE) {
+                    productData = this.dataManager.parseProductData({ data: { result: { ...raw, productId: this.productId } } });
+                    await this.dataManager.addPerOriginShipping(productData, raw, shipToDestination);
+                } else if (raw.skuModule) {
+                    productData = this.dataManager.parseDirectAPIResponse({ data: raw }, this.productId);
+                }
+                log('Read product data from the page', { productId: this.productId, productData });
+                return productData ? this.dataManager.applyPreferences(productData) : null;
+            } catch (error) {
+                log('Error reading product data from the page:', error, { productId: this.productId });
+                return null;
+            }
+        }
+
+        // "You paid $X (item) on <date>" above the SKU picker when we've ordered this product before
+        renderOrderNote() {
+            const text = describeLastOrder(this.productId, this.productData.variants);
+            const anchor = document.querySelector(DEFAULT_SELECTORS.variantLists) || document.querySelector(DEFAULT_SELECTORS.quantity);
+            if (!text || !anchor) return;
+            const note = document.createElement('div');
+            note.className = 'ali-real-price-order-note';
+            note.textContent = text;
+            anchor.parentNode.insertBefore(note, anchor);
+        }
+
+        scheduleLabel() {
+            if (this.labelScheduled) return;
+            this.labelScheduled = true;
+            requestAnimationFrame(() => {
+                this.labelScheduled = false;
+                this.labelSkuButtons();
+            });
+        }
+
+        getQuantity() {
+            const input = document.querySelector(DEFAULT_SELECTORS.quantity);
+            return Math.max(1, parseInt(input?.value, 10) || 1);
+        }
+
+        // Item price × quantity, plus shipping unless the order reaches the free shipping threshold
+        getVariantTotal(variant, quantity) {
+            const itemTotal = (variant.price?.discountedValue || 0) * quantity;
+            const threshold = variant.shipping?.freeThreshold;
+            const shipping = threshold != null && itemTotal >= threshold ? 0 : (variant.shipping?.cost || 0);
+            return { itemTotal, shipping, total: itemTotal + shipping };
+        }
+
+        // Each SKU button with the property value ID it selects
+        getSkuButtons() {
+            const columns = document.querySelectorAll('[data-sku-col]');
+            if (columns.length > 0) {
+                // New pages: data-sku-col="<propertyId>-<valueId>"
+                return Array.from(columns).map(button => ({
+                    button,
+                    valueId: Number(button.getAttribute('data-sku-col').split('-').pop())
+                }));
+            }
 
-            const variantList = document.createElement('ul');
+            // Older pages: the nth property list holds the nth property's values, in order
+            const properties = this.productData.properties || [];
+            return Array.from(document.querySelectorAll(DEFAULT_SELECTORS.variantLists)).flatMap((list, i) => {
+                const buttons = utils.getOutermostElements(list.querySelectorAll(DEFAULT_SELECTORS.variants));
+                const values = properties[i]?.values || [];
+                return buttons
+                    .map((button, j) => ({ button, valueId: values[j]?.id }))
+                    .filter(({ valueId }) => valueId !== undefined);
+            });
+        }
 
-            const sortedVariants = [...variants].sort((a, b) => {
-                const totalA = a.price.discountedValue + a.shipping.cost;
-                const totalB = b.price.discountedValue + b.shipping.cost;
-                return totalA - totalB;
+        labelSkuButtons() {
+            const quantity = this.getQuantity();
+            const variants = this.productData.variants.filter(variant => variant.valueIds?.length > 0);
+            if (variants.length === 0) return;
+
+            const byTotal = (a, b) => this.getVariantTotal(a, quantity).total - this.getVariantTotal(b, quantity).total;
+            const preferredVariants = utils.getPreferredVariants(variants);
+            const mainVariants = preferredVariants.filter(variant => variant.isMainProduct);
+            const cheapestMain = [...(mainVariants.length > 0 ? mainVariants : preferredVariants)].sort(byTotal)[0];
+
+            this.getSkuButtons().forEach(({ button, valueId }) => {
+                // Cheapest combination that includes this value
+                const cheapest = variants.filter(variant => variant.valueIds.includes(valueId)).sort(byTotal)[0];
+                if (!cheapest) return;
+
+                const { itemTotal, shipping, total } = this.getVariantTotal(cheapest, quantity);
+                const text = `${utils.formatPrice(itemTotal)} + ${utils.formatPrice(shipping)} = ${utils.formatPrice(total)}`;
+                let label = button.querySelector('.ali-real-price-sku-total');
+                if (!label) {
+                    label = document.createElement('span');
+                    label.className = 'ali-real-price-sku-total';
+                    button.appendChild(label);
+                }
+                // Only touch the DOM when the text changes, or our own observer would keep firing
+                if (label.textContent !== text) {
+                    label.textContent = text;
+                }
+                button.classList.toggle('ali-real-price-sku-cheapest', cheapestMain.valueIds.includes(valueId));
             });
+        }
+    }
 
-            for (const variant of sortedVariants) {
-                const variantItem = document.createElement('li');
-                const isMedianMatch = variant.id === bestVariant.id;
+    // Order list page: record the product, SKU and price paid of every order line shown
+    class OrderPageRecorder {
+        constructor(orderHistoryManager) {
+            this.orderHistoryManager = orderHistoryManager;
+            this.recordScheduled = false;
+        }
 
-                variantItem.innerHTML = `
-                    ${isMedianMatch ? '⊙ ' : '• '}
-                    ${variant.name} ${variant.price.discountedFormattedPrice}
-                    ${variant.shipping.cost > 0 ? `+ ${variant.shipping.formattedPrice} shipping` : ''}
-                    = ${utils.formatPrice(variant.price.discountedValue + variant.shipping.cost)} total
-                `;
+        start() {
+            this.scheduleRecord();
+            // "View more orders" appends orders without a page load
+            new MutationObserver(() => this.scheduleRecord()).observe(document.body, { childList: true, subtree: true });
+        }
 
-                if (isMedianMatch) {
-                    variantItem.classList.add('median-match');
+        scheduleRecord() {
+            if (this.recordScheduled) return;
+            this.recordScheduled = true;
+            setTimeout(async () => {
+                this.recordScheduled = false;
+                const orderLines = this.readOrderLines();
+                if (orderLines.length > 0) {
+                    await this.orderHistoryManager.recordOrders(orderLines);
                 }
+            }, 1000);
+        }
 
-                variantList.appendChild(variantItem);
-            }
+        readOrderLines() {
+            return utils.getOutermostElements(document.querySelectorAll(DEFAULT_SELECTORS.order)).flatMap(order => {
+                const headerText = order.textContent;
+                const orderId = headerText.match(/Order ID:\s*(\d+)/i)?.[1];
+                if (!orderId) return [];
+                // Only the English "Order date: Mon dd, yyyy" is understood; other formats store no date
+                const orderDate = Date.parse(headerText.match(/Order date:\s*([A-Za-z]{3,9}\.? \d{1,2}, \d{4})/i)?.[1] || '');
+                const orderedAt = Number.isFinite(orderDate) ? orderDate : null;
+
+                const products = utils.getOutermostElements(order.querySelectorAll(DEFAULT_SELECTORS.orderProduct));
+                return products.map(product => {
+                    const productId = utils.extractProductId(product);
+                    const text = product.textContent;
+                    const unitPrice = utils.parseAmount(text.match(CURRENCY_AMOUNT_PATTERN)?.[0] || '');
+                    if (!productId || !(unitPrice > 0)) return null;
+                    return {
+                        productId,
+                        orderId,
+                        skuName: product.querySelector(DEFAULT_SELECTORS.orderSku)?.textContent.trim() || '',
+                        unitPrice,
+                        quantity: parseInt(text.match(/[x×]\s*(\d+)/)?.[1], 10) || 1,
+                        orderedAt
+                    };
+                }).filter(Boolean);
+            });
+        }
+    }
 
-            popup.appendChild(variantList);
+    // Cart page: real cost per line item, and what to add to reach each store's (or Choice's) free shipping
+    class CartPageEnhancer {
+        constructor(dataManager) {
+            this.dataManager = dataManager;
+            this.productRequests = new Map(); // productId -> Promise of product data
+            this.updateScheduled = false;
+            this.isUpdating = false;
+        }
 
-            const freeShippingThreshold = this.getFreeShippingThreshold(variants, productId);
-            if (freeShippingThreshold) {
-                const thresholdInfo = document.createElement('div');
-                thresholdInfo.className = 'free-shipping-threshold';
-                thresholdInfo.textContent = `Free shipping over ${utils.formatPrice(freeShippingThreshold)}`;
-                popup.appendChild(thresholdInfo);
-            }
+        enhance() {
+            this.scheduleUpdate();
+            // Quantity changes, removed items and lazily rendered stores all re-render parts of the cart
+            new MutationObserver(() => this.scheduleUpdate()).observe(document.body, { childList: true, subtree: true });
+        }
 
-            this.positionPopup(popup, card);
-            card.appendChild(popup);
+        scheduleUpdate() {
+            if (this.updateScheduled) return;
+            this.updateScheduled = true;
+            requestAnimationFrame(async () => {
+                this.updateScheduled = false;
+                if (this.isUpdating) {
+                    this.scheduleUpdate(); // Try again once the running update is done
+                    return;
+                }
+                this.isUpdating = true;
+                try {
+                    await this.update();
+                } catch (error) {
+                    log('Error updating cart annotations:', error);
+                } finally {
+                    this.isUpdating = false;
+                }
+            });
         }
 
-        hideVariantPopup(card, productId, shouldLog = true) {
-            const popup = card.querySelector('.ali-real-price-popup');
-            if (popup) {
-                if (shouldLog) log('Hiding variant popup', { productId });
-                popup.remove();
+        // Cached data when we have it; fetchProductData only hits the network for products we haven't seen
+        getProductData(productId) {
+            if (!this.productRequests.has(productId)) {
+                this.productRequests.set(productId, this.dataManager.fetchProductData(productId).catch(error => {
+                    log('Error fetching cart product data:', error, { productId });
+                    return null;
+                }));
             }
+            return this.productRequests.get(productId);
         }
 
-        positionPopup(popup, card) {
-            const cardRect = card.getBoundingClientRect();
-            popup.style.left = '100%';
-            popup.style.top = '0';
+        async update() {
+            const lineItems = [];
+            for (const item of utils.getOutermostElements(document.querySelectorAll(DEFAULT_SELECTORS.cartItem))) {
+                const lineItem = await this.readLineItem(item);
+                if (lineItem) {
+                    lineItems.push(lineItem);
+                    this.renderLineItem(lineItem);
+                }
+            }
 
-            // Reposition if popup would go off screen
-            requestAnimationFrame(() => {
-                const popupRect = popup.getBoundingClientRect();
-                if (popupRect.right > window.innerWidth) {
-                    popup.style.left = 'auto';
-                    popup.style.right = '100%';
+            const candidates = this.getSuggestionCandidates(lineItems.map(lineItem => lineItem.productId));
+            utils.getOutermostElements(document.querySelectorAll(DEFAULT_SELECTORS.cartStore)).forEach(group => {
+                const groupItems = lineItems.filter(lineItem => group.contains(lineItem.element));
+                if (groupItems.length > 0) {
+                    this.renderThresholdInfo(group, groupItems, candidates);
                 }
             });
         }
 
-        getPriceRange(variants, productId) {
-            if (!variants || variants.length === 0) {
-                log('No variants provided to getPriceRange', { productId });
-                return { min: 0, max: 0 };
-            }
-            // Calculate total price (item + shipping) for each variant
-            const totalPrices = variants.map(v => {
-                const itemPrice = v.price?.discountedValue || 0;
-                const shippingCost = v.shipping?.cost || 0;
-                return itemPrice + shippingCost;
-            });
-
-            if (totalPrices.length === 0) {
-               log('Calculated totalPrices array is empty', { productId, variants });
-               return { min: 0, max: 0 };
-            }
+        async readLineItem(item) {
+            const productId = utils.extractProductId(item);
+            if (!productId) return null;
+            const productData = await this.getProductData(productId);
+            if (!productData?.variants?.length) return null;
 
+            const quantity = Math.max(1, parseInt(item.querySelector(DEFAULT_SELECTORS.quantity)?.value, 10) || 1);
+            const unitPrice = this.dataManager.extractPriceFromElement(item.querySelector(effectivePriceSelectors.join(','))).current;
+            const variant = this.findCartVariant(item, productData.variants, unitPrice);
+            const price = unitPrice || variant.price.discountedValue;
             return {
-                min: Math.min(...totalPrices),
-                max: Math.max(...totalPrices)
+                element: item,
+                productId,
+                storeId: productData.storeId || null,
+                variant,
+                itemTotal: price * quantity,
+                shipping: variant.shipping?.cost || 0
             };
         }
 
-        getFreeShippingThreshold(variants, productId) {
-            return variants.reduce((threshold, variant) => {
-                return variant.shipping.freeThreshold !== null
-                    ? Math.min(threshold || Infinity, variant.shipping.freeThreshold)
-                    : threshold;
-            }, null);
+        // The SKU in the cart: the variant whose name appears in the line item, else the one closest in price
+        findCartVariant(item, variants, unitPrice) {
+            const text = item.textContent;
+            const named = variants.filter(variant => variant.name !== 'Default' && text.includes(variant.name));
+            const pool = named.length > 0 ? named : variants;
+            return pool.reduce((closest, variant) =>
+                Math.abs(variant.price.discountedValue - unitPrice) < Math.abs(closest.price.discountedValue - unitPrice)
+                    ? variant
+                    : closest
+            );
         }
 
-        addPriceDistributionGraph(container, bestVariant, priceRange, productId) {
-            const graph = document.createElement('div');
-            graph.className = 'ali-real-price-distribution';
+        renderLineItem(lineItem) {
+            const text = lineItem.shipping > 0
+                ? `Real cost ${utils.formatPrice(lineItem.itemTotal + lineItem.shipping)} (incl. ${utils.formatPrice(lineItem.shipping)} shipping)`
+                : `Real cost ${utils.formatPrice(lineItem.itemTotal)} (free shipping)`;
+            this.setAnnotation(lineItem.element, 'ali-real-price-cart-total', text);
+        }
 
-            const marker = document.createElement('div');
-            marker.className = 'ali-real-price-distribution-marker';
+        // Cheapest item price per cached or watchlisted product, with the store and Choice status we know of
+        getSuggestionCandidates(cartProductIds) {
+            const quoteSuffix = utils.getQuoteKey('');
+            const candidates = new Map();
+            this.dataManager.cacheManager.getEntries('variants', 'product_').forEach(([key, cachedData]) => {
+                if (!key.endsWith(quoteSuffix) || !cachedData?.variants?.length) return;
+                // Cached data is stored raw; apply the accessory rules and shipping/warehouse preferences first
+                const productData = this.dataManager.applyPreferences(cachedData);
+                const preferredVariants = utils.getPreferredVariants(productData.variants);
+                const mainVariants = preferredVariants.filter(variant => variant.isMainProduct);
+                const pool = mainVariants.length > 0 ? mainVariants : preferredVariants;
+                const cheapest = pool.reduce((min, variant) => variant.price.discountedValue < min.price.discountedValue ? variant : min);
+                candidates.set(productData.productId, {
+                    productId: productData.productId,
+                    title: productData.title,
+                    price: cheapest.price.discountedValue,
+                    storeId: productData.storeId || null,
+                    isChoice: productData.variants.some(variant => variant.shipping?.hasChoiceFreeShipping),
+                    isWatched: false
+                });
+            });
+            (this.dataManager.watchlistManager?.getEntries() || []).forEach(entry => {
+                const candidate = candidates.get(entry.productId);
+                if (candidate) {
+                    candidate.isWatched = true;
+                } else if (entry.lastItemPrice != null && entry.currency === shopperCurrency) {
+                    // Not (or no longer) cached: fall back to the last item price seen for the watched product
+                    candidates.set(entry.productId, {
+                        productId: entry.productId,
+                        title: entry.title,
+                        price: entry.lastItemPrice,
+                        storeId: entry.storeId || null,
+                        isChoice: Boolean(entry.isChoice),
+                        isWatched: true
+                    });
+                }
+            });
+            return Array.from(candidates.values())
+                .filter(candidate => candidate.price > 0 && !cartProductIds.includes(candidate.productId));
+        }
 
-            const position = ((bestVariant.price.discountedValue - priceRange.min) /
-                (priceRange.max - priceRange.min)) * 100;
-            marker.style.left = `${position}%`;
+        renderThresholdInfo(group, groupItems, candidates) {
+            const isChoice = /choice/i.test(group.className) || Boolean(group.querySelector('[class*="choice" i]'));
+            const thresholds = groupItems.map(lineItem => lineItem.variant.shipping?.freeThreshold).filter(threshold => threshold > 0);
+            if (thresholds.length === 0) {
+                this.setAnnotation(group, 'ali-real-price-cart-threshold', '');
+                return;
+            }
 
-            graph.appendChild(marker);
-            container.appendChild(graph);
+            const storeId = group.querySelector('a[href*="/store/"]')?.getAttribute('href')?.match(/\/store\/(\d+)/)?.[1];
+            const threshold = Math.min(...thresholds);
+            const subtotal = groupItems.reduce((sum, lineItem) => sum + lineItem.itemTotal, 0);
+            const shippingPaid = this.getShippingPerStore(groupItems, storeId);
+            const remaining = threshold - subtotal;
+            const label = isChoice ? 'Choice' : 'This store';
+
+            if (remaining <= 0) {
+                this.setAnnotation(group, 'ali-real-price-cart-threshold', `${label}: free shipping reached (over ${utils.formatPrice(threshold)})`);
+                return;
+            }
+
+            let text = `${label}: add ${utils.formatPrice(remaining)} more for free shipping`;
+            if (shippingPaid > 0) {
+                text += ` and save ${utils.formatPrice(shippingPaid)}`;
+            }
+
+            // Cheapest item from the same store (or any Choice item) that covers the gap on its own
+            const suggestion = candidates
+                .filter(candidate => isChoice ? candidate.isChoice : (storeId && candidate.storeId === storeId))
+                .filter(candidate => candidate.price >= remaining)
+                .sort((a, b) => a.price - b.price || b.isWatched - a.isWatched)[0];
+            if (suggestion) {
+                text += `. Cheapest fit${suggestion.isWatched ? ' from your watchlist' : ''}: ` +
+                    `${suggestion.title || suggestion.productId} (${utils.formatPrice(suggestion.price)})`;
+            }
+            this.setAnnotation(group, 'ali-real-price-cart-threshold', text);
         }
 
-        // Helper method to get element depth in DOM
-        getElementDepth(element) {
-            let depth = 0;
-            let current = element;
-            while (current.parentNode) {
-                depth++;
-                current = current.parentNode;
+        // Shipping the group would save: stores charge it once per order, so take the highest line per store, not the sum of lines
+        getShippingPerStore(lineItems, groupStoreId) {
+            const shippingByStore = new Map();
+            lineItems.forEach(lineItem => {
+                const store = lineItem.storeId || groupStoreId || '';
+                shippingByStore.set(store, Math.max(shippingByStore.get(store) || 0, lineItem.shipping));
+            });
+            return Array.from(shippingByStore.values()).reduce((sum, shipping) => sum + shipping, 0);
+        }
+
+        // Add/update a single annotation element; only touches the DOM on changes so our observer settles
+        setAnnotation(parent, className, text) {
+            let annotation = parent.querySelector(`:scope > .${className}`);
+            if (!text) {
+                annotation?.remove();
+                return;
+            }
+            if (!annotation) {
+                annotation = document.createElement('div');
+                annotation.className = className;
+                parent.appendChild(annotation);
+            }
+            if (annotation.textContent !== text) {
+                annotation.textContent = text;
             }
-            return depth;
         }
     }
 
@@ -2786,6 +6574,113 @@
         }
     }
 
+    // --- Function to resolve the ship-to destination ---
+    // Priority: custom destination from the settings panel, then the page's ship-to cookie, then the default
+    async function loadShipToDestination() {
+        try {
+            const stored = JSON.parse(await GM.getValue('aliexpress_destination', 'null'));
+            if (stored && !stored.useAuto && stored.country) {
+                log('Using custom ship-to destination from settings:', stored);
+                return {
+                    country: stored.country.toUpperCase(),
+                    province: stored.province || '',
+                    city: stored.city || '',
+                    postalCode: stored.postalCode || '',
+                    source: 'custom'
+                };
+            }
+        } catch (e) {
+            log('Error parsing stored ship-to destination:', e);
+        }
+
+        const cookieDestination = utils.getDestinationFromCookie();
+        if (cookieDestination) {
+            log('Using ship-to destination from page cookie:', cookieDestination);
+            return { ...cookieDestination, source: 'cookie' };
+        }
+
+        log('Using default ship-to destination');
+        return { ...DEFAULT_DESTINATION, source: 'default' };
+    }
+
+    // --- Function to load the shipping method preference ---
+    async function loadShippingPreference() {
+        try {
+            const stored = JSON.parse(await GM.getValue('aliexpress_shipping_preference', 'null'));
+            if (stored && ['cheapest', 'fastest', 'within'].includes(stored.mode)) {
+                return {
+                    mode: stored.mode,
+                    maxDays: stored.maxDays > 0 ? stored.maxDays : DEFAULT_SHIPPING_PREFERENCE.maxDays
+                };
+            }
+        } catch (e) {
+            log('Error parsing stored shipping preference:', e);
+        }
+        return { ...DEFAULT_SHIPPING_PREFERENCE };
+    }
+
+    // --- Function to load the accessory rules ---
+    async function loadAccessoryRules() {
+        try {
+            const stored = JSON.parse(await GM.getValue('aliexpress_accessory_rules', 'null'));
+            if (stored) {
+                return {
+                    include: Array.isArray(stored.include) ? stored.include : [],
+                    exclude: Array.isArray(stored.exclude) ? stored.exclude : [],
+                    overrides: Array.isArray(stored.overrides) ? stored.overrides : []
+                };
+            }
+        } catch (e) {
+            log('Error parsing stored accessory rules:', e);
+        }
+        return { include: [], exclude: [], overrides: [] };
+    }
+
+    // --- Function to compile the accessory rules for the current search ---
+    // Overrides apply when their term is part of the search term (e.g. "tool kit" for "tool kit 46pcs")
+    function compileAccessoryRules(rules) {
+        const searchTerm = utils.getSearchTerm();
+        const languages = utils.getAccessoryLanguages();
+        const overrides = rules.overrides.filter(override => searchTerm && searchTerm.includes(override.term));
+        const defaults = languages.flatMap(language => ACCESSORY_KEYWORDS_BY_LANGUAGE[language]);
+        const include = [...defaults, ...rules.include, ...overrides.flatMap(override => override.include)];
+        const exclude = [...rules.exclude, ...overrides.flatMap(override => override.exclude)];
+        log('Accessory rules for search:', searchTerm, { languages, include, exclude });
+
+        const compile = keywords => Array.from(new Set(keywords)).flatMap(keyword => {
+            try {
+                return [utils.compileKeyword(keyword)];
+            } catch (error) {
+                log('Skipping invalid accessory keyword:', keyword, error);
+                return [];
+            }
+        });
+        return { include: compile(include), exclude: compile(exclude), languages };
+    }
+
+    // --- Function to detect the shopper's currency ---
+    // Priority: the aep_usuc_f cookie, then the symbol on a price already rendered on the page
+    function detectShopperCurrency() {
+        const fromCookie = utils.getCurrencyFromCookie();
+        let currency = fromCookie?.currency || null;
+        let locale = fromCookie?.locale || document.documentElement.lang || 'en-US';
+
+        if (!currency) {
+            const priceElement = document.querySelector(effectivePriceSelectors.join(','));
+            currency = utils.detectCurrencyFromText(priceElement?.textContent || '');
+        }
+
+        // Fall back to safe values if the page gives us something Intl can't format
+        try {
+            new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'USD' });
+        } catch (e) {
+            log('Invalid currency/locale detected, falling back to USD/en-US:', { currency, locale });
+            currency = 'USD';
+            locale = 'en-US';
+        }
+        return { currency: currency || 'USD', locale };
+    }
+
     // Initialize the userscript
     async function init() {
         log('Initializing script...');
@@ -2811,6 +6706,42 @@
         effectivePriceSelectors = Array.from(new Set([...DEFAULT_SELECTORS.price, ...customSelectors]));
         log('Effective price selectors:', effectivePriceSelectors);
 
+        // --- Load Unit Price Preferences ---
+        showUnitPriceOnCards = await GM.getValue('aliexpress_show_unit_price', false);
+        useUnitPriceContext = await GM.getValue('aliexpress_unit_price_context', true);
+        loadingManager.unitPriceOnCardsCheckbox.checked = showUnitPriceOnCards;
+        loadingManager.unitPriceContextCheckbox.checked = useUnitPriceContext;
+        document.documentElement.classList.toggle('ali-real-price-show-unit-prices', showUnitPriceOnCards);
+
+        // --- Load Shipping Preference ---
+        shippingPreference = await loadShippingPreference();
+        loadingManager.setShippingPreference(shippingPreference);
+        log('Shipping preference:', shippingPreference);
+
+        // --- Load Ships-From Preference ---
+        preferLocalWarehouse = await GM.getValue('aliexpress_prefer_local_warehouse', false);
+        loadingManager.preferLocalWarehouseCheckbox.checked = preferLocalWarehouse;
+
+        // --- Load Bait Badge Threshold ---
+        baitScoreThreshold = await GM.getValue('aliexpress_bait_threshold', 40);
+        loadingManager.baitThresholdInput.value = baitScoreThreshold;
+
+        // --- Detect Shopper Currency ---
+        const { currency, locale } = detectShopperCurrency();
+        shopperCurrency = currency;
+        shopperLocale = locale;
+        log('Shopper currency and locale:', shopperCurrency, shopperLocale);
+
+        // --- Load Accessory Rules (keyword languages follow the shopper locale) ---
+        accessoryRules = await loadAccessoryRules();
+        accessoryMatchers = compileAccessoryRules(accessoryRules);
+        loadingManager.setAccessoryRules(accessoryRules);
+
+        // --- Resolve Ship-To Destination ---
+        shipToDestination = await loadShipToDestination();
+        loadingManager.setDestination(shipToDestination);
+        log('Ship-to destination:', shipToDestination);
+
         // Instantiate LoadingManager AFTER loading preference
         // const loadingManager = new LoadingManager(); // Instance is global now
 
@@ -2828,24 +6759,71 @@
         await cacheManager.initialize();
         log('CacheManager initialization awaited.');
 
+        // --- Create and Initialize PriceHistoryManager ---
+        const priceHistoryManager = new PriceHistoryManager();
+        await priceHistoryManager.initialize();
+
+        // --- Create and Initialize WatchlistManager ---
+        const watchlistManager = new WatchlistManager();
+        await watchlistManager.initialize();
+
+        // --- Create and Initialize OrderHistoryManager ---
+        const orderHistoryManager = new OrderHistoryManager();
+        await orderHistoryManager.initialize();
+
+        // --- Create and Initialize VariantPinManager ---
+        const variantPinManager = new VariantPinManager();
+        await variantPinManager.initialize();
+
         // --- Create DataManager, PriceContextCalculator --- 
         // Assign to the IIFE-scoped variable
-        dataManager = new DataManager(cacheManager); // Correctly assign instance here
+        dataManager = new DataManager(cacheManager, priceHistoryManager, watchlistManager, orderHistoryManager, variantPinManager); // Correctly assign instance here
+        refreshWatchlistView();
         const priceContextCalculator = new PriceContextCalculator();
+        const priceDistribution = new PagePriceDistribution();
+        const histogramPanel = new PriceHistogramPanel(priceDistribution); // Docked panel; updates itself as cards are enhanced
+        const cardSorter = new CardSorter(priceDistribution);
+        histogramPanel.addControl(cardSorter.createControl());
   
         // --- Create DOMEnhancer --- 
-        const domEnhancer = new DOMEnhancer(dataManager, priceContextCalculator);
+        domEnhancer = new DOMEnhancer(dataManager, priceContextCalculator, priceDistribution);
         log('DOMEnhancer created');
+
+        // --- Record what we paid from the order list page ---
+        if (utils.isOrderListPage()) {
+            const orderPageRecorder = new OrderPageRecorder(orderHistoryManager);
+            orderPageRecorder.start();
+        }
+
+        // --- Real costs and free shipping suggestions on the cart page ---
+        if (utils.isCartPage()) {
+            const cartPageEnhancer = new CartPageEnhancer(dataManager);
+            cartPageEnhancer.enhance();
+        }
+
+        // --- Annotate the SKU picker on product detail pages ---
+        const productPageId = utils.getProductPageId();
+        if (productPageId) {
+            const productPageEnhancer = new ProductPageEnhancer(dataManager, productPageId);
+            // Do not await; cards on the page are enhanced meanwhile
+            productPageEnhancer.enhance().catch(error => log('Product page enhancement failed:', error));
+        }
  
         // --- Observe Initial Cards ---
         const productCards = document.querySelectorAll(DEFAULT_SELECTORS.productCard);
-        log('Found initial product cards:', productCards.length);
+        const relatedCards = domEnhancer.findRelatedCards(document.body);
+        log('Found initial product cards:', productCards.length, 'related items:', relatedCards.length);
         
+        const initialCards = Array.from(productCards).map(card => ({ card, productId: utils.extractProductId(card) }));
+        // Only main results with an ID are counted up front: they're the ones enhanced right away.
+        // Related items are counted when they scroll into view and get queued (see setupIntersectionObserver).
+        const mainCardCount = initialCards.filter(({ card, productId }) => productId && !domEnhancer.isLowPriorityCard(card)).length;
+
         // Initialize loading manager with total number of products
         // Uses the GLOBAL loadingManager instance implicitly now
-        if (productCards.length > 0) {
+        if (mainCardCount > 0) {
             loadingManager.completedItems = 0;
-            loadingManager.startLoading(productCards.length);
+            loadingManager.startLoading(mainCardCount);
             log(`Loading manager initialized: total=${loadingManager.totalItems}, completed=${loadingManager.completedItems}`);
         } else {
             // Ensure totalItems is 0 if no cards found initially
@@ -2856,18 +6834,28 @@
         }
  
         // --- Observe Initial Cards ---
-        productCards.forEach(card => {
-            const productId = utils.extractProductId(card);
-            if (productId) {
+        cardSorter.registerCards(Array.from(productCards).filter(card => !domEnhancer.isLowPriorityCard(card)));
+        initialCards.forEach(({ card, productId }) => {
+            if (productId && domEnhancer.isLowPriorityCard(card)) {
+                log('Observing related card, enhanced after the main results:', productId, { productId });
+                domEnhancer.observeCard(card, true);
+            } else if (productId) {
                 log('Observing and immediately enhancing initial card:', productId, { productId });
+                domEnhancer.pendingEnhancements.add(productId); // Holds back related items until the main results are done
                 domEnhancer.observer.observe(card); // Still observe in case manual call fails or for other reasons
                 domEnhancer.enhanceProductCard(card, productId); // Start processing immediately, do not await
             } else {
+                // If no ID, we can't process it; it isn't part of the loading total either
                 log('Skipping initial card - no product ID found', card);
-                // If no ID, we can't process, and don't need to increment total/complete counts for it.
-                // Adjust loading manager counts if necessary (though startLoading already set the total based on querySelectorAll count)
-                // Maybe decrement totalItems if an initial card lacks an ID? Or handle it gracefully in itemComplete?
-                // For now, just log and skip.
+            }
+        });
+
+        relatedCards.forEach(card => {
+            const productId = utils.extractProductId(card);
+            if (productId) {
+                domEnhancer.observeCard(card, true);
+            } else {
+                log('Skipping related item - no product ID found', card);
             }
         });
 
@@ -2875,9 +6863,11 @@
         const observer = new MutationObserver((mutations) => {
             log('DOM mutation detected');
             let newCards = [];
+            let hasAddedElements = false;
             mutations.forEach((mutation) => {
                 mutation.addedNodes.forEach((node) => {
                     if (node.nodeType === Node.ELEMENT_NODE) {
+                        hasAddedElements = true;
                         // Check if the added node itself is a product card
                         if (node.matches(DEFAULT_SELECTORS.productCard)) {
                             newCards.push(node);
@@ -2894,26 +6884,40 @@
             
             // Filter out cards that might have already been processed 
             // (e.g., if mutation observer fires multiple times rapidly)
-            newCards = newCards.filter(card => !domEnhancer.processedCards.has(card));
-
-            if (newCards.length > 0) {
-                log('Found new product cards via MutationObserver:', newCards.length);
-                // Update loading manager with new total
-                const newTotal = loadingManager.totalItems + newCards.length;
-                // Reset completed count only if starting from zero
-                if (loadingManager.totalItems === 0) {
-                    log('First batch of dynamic items detected, resetting completed count.');
-                    loadingManager.completedItems = 0;
-                }
-                loadingManager.startLoading(newTotal); // Sets new total, updates display
-                
-                newCards.forEach(card => {
-                    const productId = utils.extractProductId(card);
-                    if (productId) { // Ensure we have an ID before observing
-                       log('Observing new card found by MutationObserver:', productId, { productId });
-                       domEnhancer.observer.observe(card);
-                    } else {
-                       log('Skipping observation for new card - no product ID found', card);
+            // Cards moved by the CardSorter are re-added to the DOM too, so skip cards we've already seen
+            newCards = newCards.filter(card =>
+                !domEnhancer.processedCards.has(card) && !domEnhancer.lowPriorityCards.has(card) && !cardSorter.hasSeen(card)
+            );
+            cardSorter.registerCards(newCards.filter(card => !domEnhancer.isLowPriorityCard(card)));
+            // One query per mutation batch rather than one per added node
+            const newRelatedCards = hasAddedElements ? domEnhancer.findRelatedCards(document.body) : [];
+
+            if (newCards.length + newRelatedCards.length > 0) {
+                log('Found new product cards via MutationObserver:', newCards.length, 'related items:', newRelatedCards.length);
+                const newMainCards = newCards
+                    .map(card => ({ card, productId: utils.extractProductId(card) }))
+                    .filter(({ card, productId }) => {
+                        if (!productId) log('Skipping observation for new card - no product ID found', card);
+                        return productId;
+                    });
+                // Only main results are counted now; related items are counted once they're queued
+                const newMainCount = newMainCards.filter(({ card }) => !domEnhancer.isLowPriorityCard(card)).length;
+                if (newMainCount > 0) {
+                    // Reset completed count only if starting from zero
+                    if (loadingManager.totalItems === 0) {
+                        log('First batch of dynamic items detected, resetting completed count.');
+                        loadingManager.completedItems = 0;
+                    }
+                    loadingManager.addItems(newMainCount); // Sets new total, updates display
+                }
+
+                newMainCards.forEach(({ card, productId }) => {
+                    log('Observing new card found by MutationObserver:', productId, { productId });
+                    domEnhancer.observeCard(card, domEnhancer.isLowPriorityCard(card));
+                });
+                newRelatedCards.forEach(card => {
+                    if (utils.extractProductId(card)) {
+                        domEnhancer.observeCard(card, true);
                     }
                 });
             }
@@ -2925,18 +6929,27 @@
         });
         log('Mutation observer started');
 
-        // Add listener to save learned selectors on page unload
+        // Save learned selectors and flush pending cache and price history writes when the page is hidden or unloaded.
+        // pagehide also fires for back/forward cache navigations, where beforeunload doesn't.
         window.removeEventListener('beforeunload', saveLearnedSelectors); // Remove old listener first
-        window.addEventListener('beforeunload', async () => {
-             log('Running beforeunload tasks...');
+        window.addEventListener('pagehide', async () => {
+             log('Running pagehide tasks...');
              // Use Promise.all to run tasks concurrently if possible, or sequentially if needed
              await Promise.all([
                  saveLearnedSelectors(),
-                 dataManager.cacheManager?.forceSave() // Call forceSave on the global cache instance
+                 dataManager.cacheManager?.forceSave(), // Flush the batched cache writes
+                 dataManager.priceHistoryManager?.forceSave()
              ]);
-             log('Finished beforeunload tasks.');
+             log('Finished pagehide tasks.');
+        });
+        // Mobile browsers often discard background tabs without a pagehide
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                dataManager.cacheManager?.forceSave();
+                dataManager.priceHistoryManager?.forceSave();
+            }
         });
-        log('Updated beforeunload listener to save learned selectors and force cache save.');
+        log('Added pagehide listener to save learned selectors and flush the cache.');
 
         // Initialize token AFTER dataManager is initialized (which includes cache load)
         await dataManager.initializeToken();
@@ -2965,4 +6978,241 @@
              // alert('Cache disabled and cleared.');
         }
     }
+
+    // --- Cache stats helper ---
+    function refreshCacheStatsView() {
+        loadingManager.setCacheStats(dataManager?.cacheManager?.getStats() || null);
+    }
+
+    // --- Watchlist helpers ---
+    function refreshWatchlistView() {
+        const watchlistManager = dataManager?.watchlistManager;
+        if (!watchlistManager) return;
+        loadingManager.renderWatchlist(watchlistManager.getEntries());
+        loadingManager.setWatchlistBadge(watchlistManager.getUnseenCount());
+    }
+
+    function notifyPriceDrop(entry) {
+        const title = 'AliExpress Real Price: price drop';
+        const text = `${entry.title || entry.productId} is now ${utils.formatPrice(entry.lastTotal, entry.currency)} ` +
+            `(target ${utils.formatPrice(entry.targetTotal, entry.currency)})`;
+        try {
+            if (typeof GM !== 'undefined' && GM.notification) {
+                GM.notification({ title, text, onclick: () => window.open(entry.url, '_blank') });
+                return;
+            }
+        } catch (error) {
+            log('GM.notification failed, falling back to in-page toast:', error);
+        }
+        const toast = document.createElement('div');
+        toast.className = 'ali-real-price-toast';
+        toast.textContent = text;
+        toast.onclick = () => window.open(entry.url, '_blank');
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 8000);
+    }
+
+    async function handleWatchToggle(productId, productData) {
+        const watchlistManager = dataManager?.watchlistManager;
+        if (!watchlistManager) return;
+
+        if (watchlistManager.isWatched(productId)) {
+            await watchlistManager.remove(productId);
+        } else {
+            const currentTotal = watchlistManager.getRealTotal(productData.variants);
+            const answer = prompt(
+                'Notify me when the real total (item + shipping) is at or below:',
+                currentTotal !== null ? currentTotal.toFixed(2) : ''
+            );
+            if (answer === null) return; // Cancelled
+            const targetTotal = utils.parseAmount(answer);
+            if (!(targetTotal > 0)) {
+                alert('Please enter a target price greater than zero.');
+                return;
+            }
+            await watchlistManager.add(productId, {
+                title: productData.title,
+                targetTotal,
+                currentTotal,
+                currentItemPrice: watchlistManager.getItemPrice(productData.variants),
+                storeId: productData.storeId || null,
+                isChoice: (productData.variants || []).some(variant => variant.shipping?.hasChoiceFreeShipping)
+            });
+        }
+
+        // Sync every star for this product on the page
+        document.querySelectorAll(`.ali-real-price-watch-toggle[data-product-id="${productId}"]`).forEach(toggle => {
+            updateWatchToggle(toggle, watchlistManager.isWatched(productId));
+        });
+        refreshWatchlistView();
+    }
+
+    function updateWatchToggle(toggle, isWatched) {
+        toggle.textContent = isWatched ? '★' : '☆';
+        toggle.title = isWatched ? 'Remove from watchlist' : 'Add to watchlist';
+        toggle.classList.toggle('watched', isWatched);
+    }
+
+    async function handleWatchlistRemove(productId) {
+        await dataManager?.watchlistManager?.remove(productId);
+        document.querySelectorAll(`.ali-real-price-watch-toggle[data-product-id="${productId}"]`).forEach(toggle => {
+            updateWatchToggle(toggle, false);
+        });
+        refreshWatchlistView();
+    }
+
+    async function handleWatchlistViewed() {
+        await dataManager?.watchlistManager?.markAllSeen();
+        refreshWatchlistView();
+    }
+
+    // --- Order history helpers ---
+    // "You paid $X (item) on <date> · now $Y (item)", comparing the last order with today's item price of the same SKU
+    function describeLastOrder(productId, variants, fallbackVariant = null) {
+        const lastOrder = dataManager?.orderHistoryManager?.getOrders(productId)[0];
+        if (!lastOrder) return null;
+
+        const orderedVariant = (variants || []).find(variant => variant.name !== 'Default' && lastOrder.skuName.includes(variant.name));
+        const currentVariant = orderedVariant || fallbackVariant;
+        const orderDate = lastOrder.orderedAt
+            ? ` on ${new Date(lastOrder.orderedAt).toLocaleDateString(shopperLocale)}`
+            : '';
+        // The order list only shows the item price, so compare it with today's item price (not the real total)
+        let text = `You paid ${utils.formatPrice(lastOrder.unitPrice, lastOrder.currency)} (item)` +
+            `${lastOrder.skuName ? ` for ${lastOrder.skuName}` : ''}${orderDate}`;
+        if (currentVariant && lastOrder.currency === shopperCurrency) {
+            text += ` · now ${utils.formatPrice(currentVariant.price.discountedValue)} (item)`;
+        }
+        return text;
+    }
+
+    // --- Unit price preference handlers ---
+    async function handleUnitPriceOnCardsChange(event) {
+        showUnitPriceOnCards = event.target.checked;
+        log('Show unit price on cards changed:', showUnitPriceOnCards);
+        await GM.setValue('aliexpress_show_unit_price', showUnitPriceOnCards);
+        document.documentElement.classList.toggle('ali-real-price-show-unit-prices', showUnitPriceOnCards);
+    }
+
+    async function handleUnitPriceContextChange(event) {
+        useUnitPriceContext = event.target.checked;
+        log('Unit price context changed:', useUnitPriceContext);
+        await GM.setValue('aliexpress_unit_price_context', useUnitPriceContext);
+        // Cards already on the page are re-scored against the new context right away
+        domEnhancer?.recalculateContext();
+    }
+
+    // --- Ships-From preference handler ---
+    async function handlePreferLocalWarehouseChange(event) {
+        preferLocalWarehouse = event.target.checked;
+        log('Prefer local warehouses changed:', preferLocalWarehouse);
+        await GM.setValue('aliexpress_prefer_local_warehouse', preferLocalWarehouse);
+        // The ⊙ variant, ranges and page context all change, so start over
+        window.location.reload();
+    }
+
+    // --- Bait badge helpers ---
+    function updateBaitBadgeVisibility(badge) {
+        badge.classList.toggle('below-threshold', Number(badge.dataset.score) < baitScoreThreshold);
+    }
+
+    async function handleBaitThresholdChange(event) {
+        const value = Math.round(Number(event.target.value));
+        baitScoreThreshold = Math.max(0, Math.min(100, Number.isFinite(value) ? value : 40));
+        event.target.value = baitScoreThreshold;
+        log('Bait score threshold changed:', baitScoreThreshold);
+        await GM.setValue('aliexpress_bait_threshold', baitScoreThreshold);
+        document.querySelectorAll('.ali-real-price-bait-badge').forEach(updateBaitBadgeVisibility);
+    }
+
+    // --- Function to handle accessory rules save ---
+    async function handleAccessoryRulesSave() {
+        const rules = loadingManager.getAccessoryRulesInput();
+        const keywords = [...rules.include, ...rules.exclude, ...rules.overrides.flatMap(o => [...o.include, ...o.exclude])];
+        for (const keyword of keywords) {
+            try {
+                utils.compileKeyword(keyword);
+            } catch (error) {
+                alert(`Invalid regular expression: ${keyword}`);
+                return;
+            }
+        }
+        log('Saving accessory rules:', rules);
+        accessoryRules = rules;
+        accessoryMatchers = compileAccessoryRules(accessoryRules);
+        await GM.setValue('aliexpress_accessory_rules', JSON.stringify(accessoryRules));
+        loadingManager.setAccessoryRules(accessoryRules);
+        // Cards already on the page are re-classified and re-scored right away
+        domEnhancer?.reclassifyCards();
+    }
+
+    // --- Function to export the enhanced cards as CSV or JSON ---
+    async function handleExport(format, action) {
+        const products = domEnhancer?.getExportData() || [];
+        if (products.length === 0) {
+            alert('No enhanced products on this page yet.');
+            return;
+        }
+
+        let content;
+        if (format === 'json') {
+            content = JSON.stringify({ exportedAt: new Date().toISOString(), page: window.location.href, products }, null, 2);
+        } else {
+            const header = ['productId', 'title', 'url', 'source', 'currency', 'variantId', 'variantName', 'price', 'shipping', 'total', 'isMainProduct', 'isBestVariant'];
+            const rows = products.flatMap(product => product.variants.map(variant => [
+                product.productId, product.title, product.url, product.source, product.currency,
+                variant.id, variant.name, variant.price, variant.shipping, variant.total,
+                variant.isMainProduct, variant.id === product.bestVariantId
+            ]));
+            content = utils.toCsv([header, ...rows]);
+        }
+        log(`Exporting ${products.length} products as ${format} (${action})`);
+
+        if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(content);
+                loadingManager.statusText.textContent = `Copied ${products.length} products`;
+            } catch (error) {
+                log('Error copying export to clipboard:', error);
+                alert('Could not copy to the clipboard; try Download instead.');
+            }
+            return;
+        }
+
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `aliexpress-real-prices-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // --- Function to handle shipping preference changes ---
+    async function handleShippingPreferenceChange() {
+        const maxDays = Math.round(Number(loadingManager.shippingMaxDaysInput.value));
+        shippingPreference = {
+            mode: loadingManager.shippingModeSelect.value,
+            maxDays: maxDays > 0 ? maxDays : DEFAULT_SHIPPING_PREFERENCE.maxDays
+        };
+        loadingManager.setShippingPreference(shippingPreference);
+        log('Shipping preference changed:', shippingPreference);
+        await GM.setValue('aliexpress_shipping_preference', JSON.stringify(shippingPreference));
+        // Real totals, scores and sort orders all depend on the shipping cost, so start over
+        window.location.reload();
+    }
+
+    // --- Function to handle ship-to destination save ---
+    async function handleDestinationSave() {
+        const input = loadingManager.getDestinationInput();
+        if (!input.useAuto && !/^[A-Za-z]{2}$/.test(input.country)) {
+            alert('Please enter a two-letter country code (e.g. US, DE, BR).');
+            return;
+        }
+        log('Saving ship-to destination:', input);
+        await GM.setValue('aliexpress_destination', JSON.stringify(input));
+        // Cache keys include the destination, so cached quotes for other destinations stay valid
+        window.location.reload();
+    }
 })(); 
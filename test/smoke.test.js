@@ -0,0 +1,111 @@
+// Smoke test: load the userscript into a jsdom page with stubbed GM APIs and make sure it starts up.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '..', 'aliexpress-real-price.user.js'), 'utf8');
+
+const PAGES = {
+    search: 'https://www.aliexpress.com/w/wholesale-phone-case.html',
+    product: 'https://www.aliexpress.com/item/1005001234567890.html',
+    cart: 'https://www.aliexpress.com/p/shoppingcart/index.html',
+    orders: 'https://www.aliexpress.com/p/order/index.html'
+};
+
+// Load the script on a blank page at `url`, with `stored` as the GM storage, and collect anything it throws
+async function loadScript(url, stored = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    const errors = [];
+    const store = { ...stored };
+
+    window.GM = {
+        getValue: async (key, defaultValue) => (key in store ? store[key] : defaultValue),
+        setValue: async (key, value) => { store[key] = value; },
+        deleteValue: async (key) => { delete store[key]; },
+        xmlHttpRequest: () => {}, // No network: requests never resolve
+        notification: () => {},
+        cookie: { list: async () => [] }
+    };
+    window.GM_addStyle = () => {};
+    window.GM_listValues = () => Object.keys(store);
+    window.GM_xmlhttpRequest = () => {};
+    window.unsafeWindow = window;
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.console.log = () => {}; // The script logs every step
+    window.addEventListener('error', (event) => errors.push(event.error || event.message));
+    const onRejection = (reason) => errors.push(reason);
+    process.on('unhandledRejection', onRejection);
+
+    try {
+        window.eval(SCRIPT);
+    } catch (error) {
+        errors.push(error);
+    }
+    // Let init() run through its awaited storage reads
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    process.off('unhandledRejection', onRejection);
+    return { window, errors };
+}
+
+for (const [name, url] of Object.entries(PAGES)) {
+    test(`loads without errors on the ${name} page`, async () => {
+        const { window, errors } = await loadScript(url);
+        try {
+            assert.deepStrictEqual(errors.map(String), []);
+            assert.ok(window.document.querySelector('.ali-real-price-status-container'), 'status window is added');
+        } finally {
+            window.close();
+        }
+    });
+}
+
+test('settings controls show the stored unit price preferences', async () => {
+    const { window, errors } = await loadScript(PAGES.search, {
+        aliexpress_show_unit_price: true,
+        aliexpress_unit_price_context: false
+    });
+    try {
+        assert.deepStrictEqual(errors.map(String), []);
+        const { document } = window;
+        assert.strictEqual(document.getElementById('ali-real-price-unit-cards-checkbox').checked, true);
+        assert.strictEqual(document.getElementById('ali-real-price-unit-context-checkbox').checked, false);
+    } finally {
+        window.close();
+    }
+});
+
+test('settings controls show the stored shipping preference', async () => {
+    const { window, errors } = await loadScript(PAGES.search, {
+        aliexpress_shipping_preference: JSON.stringify({ mode: 'within', maxDays: 12 })
+    });
+    try {
+        assert.deepStrictEqual(errors.map(String), []);
+        const { document } = window;
+        assert.strictEqual(document.getElementById('ali-real-price-shipping-mode-select').value, 'within');
+        assert.strictEqual(document.querySelector('.ali-real-price-shipping-mode-select + input').value, '12');
+    } finally {
+        window.close();
+    }
+});
+
+test('settings controls show the stored ships-from preference', async () => {
+    const { window, errors } = await loadScript(PAGES.search, { aliexpress_prefer_local_warehouse: true });
+    try {
+        assert.deepStrictEqual(errors.map(String), []);
+        assert.strictEqual(window.document.getElementById('ali-real-price-local-warehouse-checkbox').checked, true);
+    } finally {
+        window.close();
+    }
+});